@@ -3,8 +3,9 @@
 import { spawn } from 'node:child_process';
 import { execSync } from 'node:child_process';
 import fs from 'node:fs';
+import http from 'node:http';
 import path from 'node:path';
-import { fileURLToPath } from 'node:url';
+import { fileURLToPath, pathToFileURL } from 'node:url';
 
 /**
  * CARICATURE
@@ -12,68 +13,546 @@ import { fileURLToPath } from 'node:url';
  * Features: Audio synchronization, random open frames, rotation, glitch effects
  */
 
+// Loudness analyzers selectable with --analyzer, each a method returning [{ time, loudness }]
+const LOUDNESS_ANALYZERS = {
+  ebur128: { method: 'extractEbur128Loudness' }, // momentary loudness, 100 ms steps
+  rms: { method: 'extractRmsLoudness' }          // voice band RMS, one value per video frame
+};
+
+// Head motion styles: amplitudes (degrees, fraction of size, zoom fraction) and spring
+// constants. New targets come at speech onsets, scaled by loudness; wander adds
+// occasional small retargets per second so the head never freezes completely.
+const MOTION_STYLES = {
+  jitter: null, // classic: a fresh random angle every frame
+  calm: { rotation: 3, offset: 0.015, zoom: 0.02, stiffness: 25, damping: 9, wander: 0.3 },
+  bob: { rotation: 8, offset: 0.04, zoom: 0.05, stiffness: 90, damping: 11, wander: 0.5 },
+  chaos: { rotation: 20, offset: 0.08, zoom: 0.12, stiffness: 260, damping: 8, wander: 2 }
+};
+
+// Project config discovered in the working directory (or given with --config)
+const CONFIG_FILE = 'caricature.config.json';
+
+// Built-in presets, written like config files: long flag names and their values.
+// A config file's "presets" can add more or replace these by name.
+const PRESETS = {
+  podcast: { threshold: 'auto', vad: true, motion: 'calm', 'min-open': 60, 'min-closed': 80, hold: 2 },
+  lecture: { analyzer: 'rms', 'open-threshold': -38, 'close-threshold': -43, 'min-closed': 100, motion: 'calm', hold: 3 },
+  chaos: { motion: 'chaos', rotation: 30, glitch: 3, hold: 1 }
+};
+
+// Output formats: encoder arguments, audio codec (null = video only) and whether
+// transparency survives. Unknown extensions fall back to mp4's h264 settings.
+const OUTPUT_FORMATS = {
+  mp4: {
+    extensions: ['.mp4', '.m4v'],
+    video: ['-c:v', 'h264', '-pix_fmt', 'yuv420p', '-preset', 'medium', '-crf', '23'],
+    audio: ['-c:a', 'aac'],
+    copyAudio: true,
+    alpha: false
+  },
+  webm: {
+    extensions: ['.webm'],
+    video: ['-c:v', 'libvpx-vp9', '-pix_fmt', 'yuva420p', '-b:v', '0', '-crf', '30', '-auto-alt-ref', '0', '-row-mt', '1'],
+    audio: ['-c:a', 'libopus', '-b:a', '128k'],
+    copyAudio: false,
+    alpha: true
+  },
+  mov: {
+    extensions: ['.mov'],
+    video: ['-c:v', 'prores_ks', '-profile:v', '4444', '-pix_fmt', 'yuva444p10le', '-vendor', 'apl0'],
+    audio: ['-c:a', 'pcm_s16le'],
+    copyAudio: true,
+    alpha: true
+  },
+  png: {
+    extensions: ['.png'],
+    video: ['-c:v', 'png', '-pix_fmt', 'rgba'],
+    audio: null,
+    sequence: true,
+    alpha: true
+  },
+  gif: {
+    extensions: ['.gif'],
+    video: ['-c:v', 'gif', '-loop', '0'],
+    audio: null,
+    palette: true,
+    alpha: true
+  },
+  apng: {
+    extensions: ['.apng'],
+    video: ['-c:v', 'apng', '-pix_fmt', 'rgba', '-plays', '0', '-f', 'apng'],
+    audio: null,
+    alpha: true
+  }
+};
+
+// Viseme set used by spectral lip sync, with the file name spellings accepted for each
+const VISEMES = {
+  rest: ['rest'],
+  AI: ['ai', 'a', 'i'],
+  E: ['e'],
+  O: ['o', 'u', 'ou'],
+  MBP: ['mbp', 'm', 'b', 'p'],
+  FV: ['fv', 'f', 'v']
+};
+
+// Frame image types; PNG, WebP and AVIF may carry their own transparency
+const FRAME_EXTENSIONS = ['jpg', 'jpeg', 'png', 'webp', 'avif'];
+
+// Background removal for frames without alpha: colorkey (ffmpeg) or floodfill (ImageMagick 7)
+const KEY_MODES = ['colorkey', 'floodfill'];
+
+// Editing timeline formats written by --export, by file extension
+const EXPORT_FORMATS = {
+  '.otio': { name: 'OpenTimelineIO', method: 'buildOtio' },
+  '.fcpxml': { name: 'Final Cut Pro XML', method: 'buildFcpxml' },
+  '.edl': { name: 'CMX3600 EDL', method: 'buildEdl' }
+};
+
+// Glitch effects for --effects: default amount, the method building the ffmpeg filter,
+// and whether that filter takes an enable option (others are overlaid while enabled)
+const GLITCH_EFFECTS = {
+  scanlines: { amount: 3, method: 'scanlinesEffect', timeline: true },
+  rgbsplit: { amount: 4, method: 'rgbSplitEffect', timeline: true },
+  tracking: { amount: 1, method: 'trackingEffect', timeline: true },
+  tear: { amount: 8, method: 'tearEffect', timeline: true },
+  posterize: { amount: 4, method: 'posterizeEffect', timeline: true },
+  datamosh: { amount: 2, method: 'datamoshEffect', timeline: false },
+  bleed: { amount: 4, method: 'bleedEffect', timeline: false },
+  noise: { amount: 10, method: 'noiseEffect', timeline: true },
+  grain: { amount: 8, method: 'grainEffect', timeline: true },
+  saturate: { amount: 1.1, method: 'saturateEffect', timeline: true },
+  redpush: { amount: 0.02, method: 'redPushEffect', timeline: true }
+};
+
+// --glitch levels as effect chains
+const GLITCH_PRESETS = {
+  0: [],
+  1: ['scanlines', 'saturate'],
+  2: ['scanlines', 'saturate', 'noise', 'grain'],
+  3: ['scanlines', 'saturate', 'noise', 'grain', 'rgbsplit:2', 'redpush']
+};
+
+// Timeline segment keys and the ways a segment can be entered
+const TIMELINE_KEYS = ['start', 'end', 'character', 'expression', 'threshold', 'rotation', 'glitch', 'transition', 'transitionDuration'];
+const TIMELINE_TRANSITIONS = ['cut', 'crossfade', 'glitch'];
+
+// Caption styles and their default text and background colors
+const CAPTION_STYLES = {
+  bubble: { color: 'black', background: 'white' },
+  'lower-third': { color: 'white', background: 'black@0.6' }
+};
+
+// Head shapes for --mask; the shape stays put while the head moves inside it
+const MASK_SHAPES = ['square', 'circle', 'rounded'];
+
+// Overlay positions ("<vertical>-<horizontal>") and how the head enters the video
+const OVERLAY_POSITIONS = [
+  'top-left', 'top-center', 'top-right',
+  'center-left', 'center', 'center-right',
+  'bottom-left', 'bottom-center', 'bottom-right'
+];
+const ENTRANCES = ['none', 'slide', 'fade'];
+
+// What an overlay does with the video's audio when a separate voice track drives the mouth
+const AUDIO_MODES = ['replace', 'mix', 'keep'];
+
+// Live mode outputs: ffmpeg arguments encoding each cached frame once, and whether the
+// stream goes to stdout (y4m and raw) or to HTTP clients on --live-port (mjpeg)
+const LIVE_OUTPUTS = {
+  y4m: { args: ['-c:v', 'rawvideo', '-pix_fmt', 'yuv420p', '-f', 'rawvideo'], stdout: true },
+  raw: { args: ['-c:v', 'rawvideo', '-pix_fmt', 'rgba', '-f', 'rawvideo'], stdout: true },
+  mjpeg: { args: ['-c:v', 'mjpeg', '-pix_fmt', 'yuvj420p', '-q:v', '3', '-f', 'mjpeg'], stdout: false }
+};
+
+// --preview drafts: largest head size, fast h264 settings, and the debug HUD strip
+// (at least hudWidth wide: status line, loudness bar with thresholds, waveform)
+const PREVIEW = {
+  size: 160,
+  video: ['-c:v', 'h264', '-pix_fmt', 'yuv420p', '-preset', 'ultrafast', '-crf', '30'],
+  hudWidth: 320,
+  panelHeight: 52,
+  waveHeight: 60,
+  fontSize: 12
+};
+
+// Loudness (dB) below which a sample is treated as digital silence rather than room noise
+const SILENCE_FLOOR = -70;
+
+// Mouth shapes for imported lip-sync cues: viseme plus how open the mouth is (0 = least, 1 = most)
+const CUE_SHAPES = {
+  // Rhubarb Lip Sync letters (TSV, JSON and letter-based Moho exports)
+  rhubarb: {
+    A: { viseme: 'MBP' },
+    B: { viseme: 'E', openness: 0 },
+    C: { viseme: 'AI', openness: 0.5 },
+    D: { viseme: 'AI', openness: 1 },
+    E: { viseme: 'O', openness: 0.5 },
+    F: { viseme: 'O', openness: 0 },
+    G: { viseme: 'FV' },
+    H: { viseme: 'E', openness: 0.5 },
+    X: { viseme: 'rest' }
+  },
+  // Preston Blair phonemes (Papagayo and Moho switch files)
+  prestonBlair: {
+    AI: { viseme: 'AI', openness: 1 },
+    E: { viseme: 'E', openness: 0.5 },
+    O: { viseme: 'O', openness: 0.5 },
+    U: { viseme: 'O', openness: 0 },
+    WQ: { viseme: 'O', openness: 0 },
+    MBP: { viseme: 'MBP' },
+    FV: { viseme: 'FV' },
+    L: { viseme: 'E', openness: 0.5 },
+    etc: { viseme: 'E', openness: 0 },
+    rest: { viseme: 'rest' }
+  }
+};
+
+// Frequency bands (Hz) measured per video frame for viseme classification
+const SPECTRAL_BANDS = [
+  { name: 'low', low: 80, high: 500 },     // voicing, rounded vowels
+  { name: 'mid', low: 500, high: 1500 },   // first formant of open vowels
+  { name: 'high', low: 1500, high: 3500 }, // second formant of front vowels
+  { name: 'fric', low: 3500, high: 7500 }  // fricative noise
+];
+
+/**
+ * Seedable pseudo random generator (mulberry32), returns floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Turn a --seed value into a 32-bit integer (numbers as-is, words hashed)
+ */
+function normalizeSeed(seed) {
+  if (seed === undefined || seed === null || seed === '') {
+    return Math.floor(Math.random() * 4294967296);
+  }
+
+  const numeric = Number(seed);
+  if (Number.isInteger(numeric) && numeric >= 0 && numeric < 4294967296) {
+    return numeric;
+  }
+
+  // FNV-1a hash so memorable words like "episode-12" work as seeds
+  let hash = 0x811C9DC5;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Escape a filter option value (a file path, a font name) inside a filtergraph: once
+ * for the option parser (backslash, quote, colon) and once more for the graph parser
+ * (backslash, quote, brackets, comma, semicolon)
+ */
+function escapeFilterValue(value) {
+  const option = String(value).replace(/[\\':]/g, '\\$&');
+  return option.replace(/[\\'[\],;]/g, '\\$&');
+}
+
 class Caricature {
   constructor(options = {}) {
     this.framePattern = options.framePattern || 'character*.jpg';
     this.frameDir = options.frameDir || './samples';
     this.audioInput = options.audio || null;
     this.outputFile = options.output || 'caricature.mp4';
-    this.size = options.size || 320;
+    this.outputFormat = options.format || null; // mp4, webm, mov, png, gif or apng (default: from extension)
+    this.sizePercent = /%$/.test(String(options.size)) ? parseFloat(options.size) : null; // --overlay only: share of the video height
+    this.size = this.sizePercent ? 320 : (options.size || 320);
     this.totalDuration = options.duration || 15;
-    this.frameDuration = options.frameDuration || 0.04; // 25fps = 0.04s per frame
+    // Frame rate of the sequence and every encode; overlays match the input video unless one is given
+    this.matchInputFps = !options.fps && !options.frameDuration;
+    this.setFrameRate(options.fps || (options.frameDuration ? 1 / options.frameDuration : 25));
     this.maxRotation = options.maxRotation !== undefined ? options.maxRotation : 0; // degrees (0 = no rotation)
-    this.glitchLevel = options.glitchLevel || 0; // 0-3
-    this.loudnessThreshold = options.loudnessThreshold || -35; // dB threshold
+    this.motion = options.motion || 'jitter'; // head motion style: jitter, calm, bob or chaos
+    this.glitchLevel = options.glitchLevel || 0; // 0-3, a preset effect chain
+    this.effects = options.effects || null; // effect chain replacing the --glitch preset, e.g. 'scanlines,rgbsplit:4,tear@peaks'
+    this.burstThreshold = options.burstThreshold !== undefined ? options.burstThreshold : 'auto'; // dB that triggers @peaks effects, or 'auto'
+    this.burstLength = options.burstLength !== undefined ? options.burstLength : 0.2; // seconds a burst lasts at least
+    this.stutterProbability = options.stutter || 0; // 0-1, chance that a word start stutters
+    this.stutterRepeats = options.stutterRepeats || 2; // extra plays of a stuttered word start
+    this.stutterAt = options.stutterAt || null; // times (seconds or m:ss.s) that always stutter
+    this.loudnessThreshold = options.loudnessThreshold || -35; // dB threshold, or 'auto' to calibrate
+    this.openRatio = options.openRatio || 0.45; // share of frames with open mouth targeted by 'auto'
+    this.analyzer = options.analyzer || 'ebur128'; // loudness analyzer: ebur128 or rms
+    this.voiceBand = options.voiceBand || [300, 3400]; // Hz band-pass used by the rms analyzer
+    this.syncOffset = options.syncOffset || 0; // seconds to shift mouth timing (positive = later)
+    this.vad = options.vad || false; // gate the mouth with voice activity detection
+    this.vadSensitivity = options.vadSensitivity !== undefined ? options.vadSensitivity : 0.5; // 0-1, higher = more audio counts as speech
+    this.vadDebug = options.vadDebug || null; // .csv or .json file receiving per-frame VAD decisions
+    this.openThreshold = options.openThreshold !== undefined ? options.openThreshold : null; // dB to open (default: threshold)
+    this.closeThreshold = options.closeThreshold !== undefined ? options.closeThreshold : null; // dB to close (default: open threshold)
+    this.minOpenDuration = options.minOpenDuration || 0; // seconds the mouth stays open once opened
+    this.minClosedDuration = options.minClosedDuration || 0; // seconds the mouth stays closed once closed
+    this.holdFrames = options.holdFrames || 1; // frames to keep a picked frame before re-picking
     this.characterName = options.character || 'character1'; // which character to use
+    this.mouthLevels = options.mouthLevels || ['half', 'open', 'wide']; // ordered mouth shapes, least open first
+    this.levelBands = options.levelBands || null; // dB boundaries between mouth levels
+    this.levelMode = options.levelMode || (this.levelBands ? 'bands' : 'percentile'); // bands or percentile
+    this.lipSync = options.lipSync || 'loudness'; // loudness or visemes
+    this.maxClosureDuration = options.maxClosureDuration || 0.12; // seconds a closure mid-speech counts as M/B/P
+    this.mouthCues = options.mouthCues || null; // Rhubarb/Papagayo/Moho cue file replacing loudness analysis
+    this.cuesFps = options.cuesFps || 24; // frame rate of Moho .dat cue files
+    this.cueFallback = options.cueFallback || 'AI'; // viseme used for unknown cue letters
+    this.timeline = options.timeline || null; // JSON cue sheet switching character, expression and settings over time
+    this.sequenceOut = options.sequenceOut || null; // JSON file receiving the generated sequence
+    this.sequenceIn = options.sequenceIn || null; // JSON sequence to render instead of analyzing the audio
+    this.key = options.key || null; // background color to make transparent (e.g. green, #00ff00)
+    this.keyMode = options.keyMode || 'colorkey'; // colorkey keys the color everywhere, floodfill only from the edges
+    this.keySimilarity = options.keySimilarity !== undefined ? options.keySimilarity : 0.3; // 0-1, how close a color must be to be keyed
+    this.keyFeather = options.keyFeather !== undefined ? options.keyFeather : 1; // pixels of soft alpha edge
+    this.captions = options.captions || null; // .srt or .vtt file burned into the video
+    this.captionStyle = options.captionStyle || 'bubble'; // bubble or lower-third
+    this.captionFont = options.captionFont || 'Sans'; // fontconfig name or font file
+    this.captionSize = options.captionSize || 24; // font size in pixels
+    this.captionColor = options.captionColor || null; // text color (default: from the style)
+    this.captionBackground = options.captionBackground || null; // bubble/box color (default: from the style)
+    this.mask = options.mask || 'square'; // head shape: square, circle or rounded
+    this.cornerRadius = options.cornerRadius !== undefined ? options.cornerRadius : null; // rounded mask corners in pixels (default: size / 8)
+    this.border = options.border || 0; // border width in pixels around the head shape
+    this.borderColor = options.borderColor || 'white';
+    this.glow = options.glow || 0; // glow radius in pixels
+    this.glowColor = options.glowColor || 'cyan';
+    this.shadow = options.shadow || false; // drop shadow down and to the right
+    this.shadowOffset = options.shadowOffset !== undefined ? options.shadowOffset : null; // shadow offset and blur in pixels (default: size / 32)
+    this.bezel = options.bezel || null; // image drawn over the head, e.g. a CRT frame with a transparent screen
+    this.bezelWindow = options.bezelWindow || null; // screen area of the bezel: x,y,width,height in bezel pixels
+    this.enter = options.enter || 'none'; // overlay entrance: none, slide or fade
+    this.enterDuration = options.enterDuration !== undefined ? options.enterDuration : 0.5; // seconds
+    this.autoHide = options.autoHide || 0; // overlay leaves after this many seconds of silence (0 = always shown)
+    this.audioMode = options.audioMode || 'mix'; // overlay with a voice track: replace, mix or keep the video's audio
+    this.voiceGain = options.voiceGain || 0; // dB applied to the voice track in the output
+    this.videoGain = options.videoGain || 0; // dB applied to the video's own audio in the output
+    this.duck = options.duck || false; // lower the video's audio while the voice track speaks (mix)
+    this.preview = options.preview || false; // draft render: small head, fast encode, debug HUD
+    this.liveFormat = options.liveFormat || 's16le'; // live stdin: a raw PCM format (s16le, f32le, ...) or 'auto' to let ffmpeg probe
+    this.liveRate = options.liveRate || 48000; // sample rate of raw PCM on stdin
+    this.liveChannels = options.liveChannels || 1; // channels of raw PCM on stdin
+    this.liveOutput = options.liveOutput || 'y4m'; // y4m or raw on stdout, or mjpeg over HTTP
+    this.livePort = options.livePort || 8090; // local HTTP port of the mjpeg stream
+    this.liveLatency = options.liveLatency !== undefined ? options.liveLatency : 200; // milliseconds of video allowed to queue before frames are dropped
+    this.segments = [];
+    this.bursts = [];
+    this.stutters = [];
+    this.baseFrameSet = null;
+    this.activeFrameSet = null;
+    this.seed = normalizeSeed(options.seed); // drives every random decision, printed on every run
+    this.random = createRandom(this.seed);
     this.frames = [];
     this.closedFrames = [];
     this.openFrames = [];
+    this.levelFrames = [];
+    this.visemeFrames = {};
   }
 
   /**
-   * Find and categorize frame files (closed vs open mouth)
+   * Find and categorize frame files (closed mouth and ordered open levels),
+   * plus the frame sets used by timeline segments
    */
   findFrames() {
     try {
-      // Find all frames for the specified character
-      const pattern = path.join(this.frameDir, `${this.characterName}-*.jpg`);
-      const output = execSync(`ls -1 ${pattern} 2>/dev/null || true`, {
-        encoding: 'utf-8',
-        maxBuffer: 10 * 1024 * 1024
-      });
+      this.baseFrameSet = this.loadFrameSet(this.characterName);
+
+      // Timeline segments may switch character and expression group
+      const frameSets = new Map([[this.baseFrameSet.key, this.baseFrameSet]]);
+      for (const segment of this.segments) {
+        const character = segment.character || this.characterName;
+        const key = `${character}/${segment.expression || ''}`;
+        if (!frameSets.has(key)) {
+          frameSets.set(key, this.loadFrameSet(character, segment.expression));
+        }
+        segment.frameSet = frameSets.get(key);
+      }
+
+      this.useFrameSet(this.baseFrameSet);
+      return { closed: this.closedFrames, open: this.openFrames, levels: this.levelFrames };
+    } catch (error) {
+      throw new Error(`Error finding frames: ${error.message}`);
+    }
+  }
+
+  /**
+   * Categorize the frames of one character and expression group
+   * (character1-open1.jpg is the default group, character1-angry-open1.jpg the "angry" one)
+   */
+  loadFrameSet(character, expression = null) {
+    const label = expression ? `${character} (${expression})` : character;
+
+    // Find all frames for the specified character
+    const patterns = FRAME_EXTENSIONS.map(extension => path.join(this.frameDir, `${character}-*.${extension}`));
+    const output = execSync(`ls -1 ${patterns.join(' ')} 2>/dev/null || true`, {
+      encoding: 'utf-8',
+      maxBuffer: 10 * 1024 * 1024
+    });
 
-      const files = output
-        .trim()
-        .split('\n')
-        .filter(f => f.length > 0)
-        .sort();
+    const files = output
+      .trim()
+      .split('\n')
+      .filter(f => f.length > 0)
+      .filter(f => this.parseExpression(path.basename(f), character) === (expression || ''))
+      .sort();
 
-      if (files.length === 0) {
-        throw new Error(`No frames found for character: ${this.characterName}`);
-      }
+    if (files.length === 0) {
+      throw new Error(`No frames found for character: ${label}`);
+    }
 
-      // Categorize frames into closed and open
-      for (const file of files) {
-        const basename = path.basename(file);
-        if (basename.includes('-closed')) {
-          this.closedFrames.push(file);
-        } else if (basename.includes('-open')) {
-          this.openFrames.push(file);
+    // Categorize frames into closed and the ordered mouth levels
+    const closed = [];
+    const visemes = {};
+    const levelBuckets = this.mouthLevels.map(() => []);
+    for (const file of files) {
+      const basename = path.basename(file);
+      const viseme = this.parseVisemeName(basename);
+      if (viseme) {
+        (visemes[viseme] = visemes[viseme] || []).push(file);
+      } else {
+        const shape = basename.slice(character.length + 1).replace(/\.[a-z]+$/i, '').split('-')
+          .map(word => this.mouthWord(word))
+          .find(Boolean);
+        if (shape === 'closed') {
+          closed.push(file);
+        } else if (shape) {
+          levelBuckets[this.mouthLevels.indexOf(shape)].push(file);
         }
       }
+    }
 
-      if (this.closedFrames.length === 0) {
-        throw new Error(`No closed mouth frames found for: ${this.characterName}`);
-      }
+    // Only levels the character actually ships take part in the animation
+    const levels = levelBuckets
+      .map((levelFiles, i) => ({ name: this.mouthLevels[i], frames: levelFiles }))
+      .filter(level => level.frames.length > 0);
+    const open = levels.flatMap(level => level.frames);
+
+    if (closed.length === 0) {
+      throw new Error(`No closed mouth frames found for: ${label}`);
+    }
+
+    if (open.length === 0) {
+      throw new Error(`No open mouth frames found for: ${label} (looked for: ${this.mouthLevels.join(', ')})`);
+    }
+
+    return { key: `${character}/${expression || ''}`, label, files, closed, levels, open, visemes };
+  }
+
+  /**
+   * Expression group of a frame file: the words between the character name and
+   * the mouth shape ('' when the mouth shape follows the name directly)
+   */
+  parseExpression(basename, character) {
+    const words = basename.slice(character.length + 1).replace(/\.[a-z]+$/i, '').split('-');
+    const mouthWord = words.findIndex(word => word === 'viseme' || this.mouthWord(word));
+    return mouthWord > 0 ? words.slice(0, mouthWord).join('-') : '';
+  }
+
+  /**
+   * Mouth shape named by one word of a file name: 'closed', a mouth level or null.
+   * Whole words with an optional number only (closed, open2), so expressions
+   * like "openeyed" or "closedeyes" are not taken for mouth shapes.
+   */
+  mouthWord(word) {
+    return ['closed', ...this.mouthLevels].find(name =>
+      word.startsWith(name) && /^\d*$/.test(word.slice(name.length))
+    ) || null;
+  }
+
+  /**
+   * Make a frame set the one frames are picked from
+   */
+  useFrameSet(frameSet) {
+    this.activeFrameSet = frameSet;
+    this.frames = frameSet.files;
+    this.closedFrames = frameSet.closed;
+    this.levelFrames = frameSet.levels;
+    this.openFrames = frameSet.open;
+    this.visemeFrames = frameSet.visemes;
+  }
+
+  /**
+   * Set the frame rate and the matching per-frame duration
+   */
+  setFrameRate(fps) {
+    if (!(fps > 0)) {
+      throw new Error(`Invalid frame rate: ${fps}`);
+    }
+    this.fps = fps;
+    this.frameDuration = 1 / fps;
+  }
+
+  /**
+   * Frame rate as an ffmpeg argument, keeping NTSC rates exact (29.97 → 30000/1001)
+   */
+  frameRateArg() {
+    const ntsc = Math.round(this.fps * 1.001);
+    if (!Number.isInteger(this.fps) && Math.abs(ntsc / 1.001 - this.fps) < 0.001) {
+      return `${ntsc * 1000}/1001`;
+    }
+    return String(Number(this.fps.toFixed(6)));
+  }
+
+  /**
+   * Probe the frame rate of a file's first video stream (null when it has none)
+   */
+  probeFrameRate(file) {
+    let probeOutput;
+    try {
+      probeOutput = execSync(
+        `ffprobe -v error -select_streams v:0 -show_entries stream=avg_frame_rate,r_frame_rate -of default=noprint_wrappers=1:nokey=1 "${file}"`,
+        { encoding: 'utf-8' }
+      );
+    } catch (e) {
+      return null;
+    }
 
-      if (this.openFrames.length === 0) {
-        throw new Error(`No open mouth frames found for: ${this.characterName}`);
+    // avg_frame_rate first; it reads 0/0 for some streams, so fall back to r_frame_rate
+    for (const rate of probeOutput.trim().split('\n').reverse()) {
+      const [num, den] = rate.trim().split('/').map(Number);
+      const fps = den ? num / den : num;
+      if (fps > 0 && fps <= 240) {
+        return fps;
       }
+    }
+    return null;
+  }
 
-      this.frames = files;
-      return { closed: this.closedFrames, open: this.openFrames };
-    } catch (error) {
-      throw new Error(`Error finding frames: ${error.message}`);
+  /**
+   * Detect the duration of a media file in seconds
+   */
+  probeDuration(file) {
+    try {
+      const probeOutput = execSync(
+        `ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${file}"`,
+        { encoding: 'utf-8' }
+      );
+      return parseFloat(probeOutput.trim());
+    } catch (e) {
+      throw new Error('Could not detect audio duration');
+    }
+  }
+
+  /**
+   * Whether a file has at least one audio stream
+   */
+  probeHasAudio(file) {
+    try {
+      const probeOutput = execSync(
+        `ffprobe -v error -select_streams a -show_entries stream=index -of csv=p=0 "${file}"`,
+        { encoding: 'utf-8' }
+      );
+      return probeOutput.trim().length > 0;
+    } catch (e) {
+      return false;
     }
   }
 
@@ -93,17 +572,81 @@ class Caricature {
     }
 
     // First, get actual audio duration and store it for later use
-    try {
-      const probeOutput = execSync(
-        `ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${this.audioInput}"`,
-        { encoding: 'utf-8' }
-      );
-      this.audioDuration = parseFloat(probeOutput.trim());
-      console.log(`  Duration: ${this.audioDuration.toFixed(2)}s`);
-    } catch (e) {
-      throw new Error('Could not detect audio duration');
+    this.audioDuration = this.probeDuration(this.audioInput);
+    console.log(`  Duration: ${this.audioDuration.toFixed(2)}s`);
+
+    const analyzer = LOUDNESS_ANALYZERS[this.analyzer];
+    if (!analyzer) {
+      throw new Error(`Unknown analyzer: ${this.analyzer} (use ${Object.keys(LOUDNESS_ANALYZERS).join(', ')})`);
+    }
+
+    const rawData = await this[analyzer.method]();
+
+    if (rawData.length === 0) {
+      throw new Error(`No loudness data extracted by the ${this.analyzer} analyzer`);
+    }
+
+    // Positive offsets make the mouth move later, negative ones earlier
+    const loudnessData = rawData
+      .map(sample => ({ time: sample.time + this.syncOffset, loudness: sample.loudness }))
+      .sort((a, b) => a.time - b.time);
+
+    console.log(` ✓`);
+    console.log(`✓ Analyzed ${loudnessData.length} audio samples`);
+    console.log(`  Coverage: ${loudnessData[loudnessData.length - 1].time.toFixed(2)}s`);
+    if (this.syncOffset !== 0) {
+      console.log(`  Sync offset: ${(this.syncOffset * 1000).toFixed(0)} ms`);
+    }
+    console.log(`  Threshold: ${this.loudnessThreshold === 'auto' ? 'auto' : `${this.loudnessThreshold} dB`}\n`);
+
+    return loudnessData;
+  }
+
+  /**
+   * Viseme id of a frame file like character1-viseme-O1.jpg (null if not a viseme frame)
+   */
+  parseVisemeName(basename) {
+    const match = basename.match(/-viseme-([a-z]+)\d*\.[a-z]+$/i);
+    if (!match) {
+      return null;
+    }
+
+    const spelling = match[1].toLowerCase();
+    const viseme = Object.keys(VISEMES).find(id => VISEMES[id].includes(spelling));
+    if (!viseme) {
+      throw new Error(`Unknown viseme "${match[1]}" in ${basename} (use ${Object.keys(VISEMES).join(', ')})`);
+    }
+    return viseme;
+  }
+
+  /**
+   * Print the categorized frames of the current character
+   */
+  logFrames() {
+    console.log(`✓ Found frames for character: ${this.characterName}`);
+    console.log(`  Closed mouth: ${this.closedFrames.length} frames`);
+    this.closedFrames.forEach((f) => {
+      console.log(`    - ${path.basename(f)}`);
+    });
+    for (const level of this.levelFrames) {
+      console.log(`  Mouth ${level.name}: ${level.frames.length} frames`);
+      level.frames.forEach((f) => {
+        console.log(`    - ${path.basename(f)}`);
+      });
     }
+    for (const [viseme, frames] of Object.entries(this.visemeFrames)) {
+      console.log(`  Viseme ${viseme}: ${frames.length} frames`);
+      frames.forEach((f) => {
+        console.log(`    - ${path.basename(f)}`);
+      });
+    }
+    console.log('');
+  }
 
+  /**
+   * ebur128 analyzer: momentary loudness (400 ms window) sampled every 100 ms
+   */
+  async extractEbur128Loudness() {
     // Use ebur128 filter - output to file to avoid buffer issues
     console.log(`  Extracting loudness data using ebur128 filter...`);
 
@@ -143,184 +686,1869 @@ class Caricature {
       fs.unlinkSync(tempFile);
     } catch (e) {}
 
-    if (loudnessData.length === 0) {
-      throw new Error('No loudness data extracted from ebur128 filter');
-    }
-
-    console.log(` ✓`);
-    console.log(`✓ Analyzed ${loudnessData.length} audio samples`);
-    console.log(`  Coverage: ${loudnessData[loudnessData.length - 1].time.toFixed(2)}s`);
-    console.log(`  Threshold: ${this.loudnessThreshold} dB\n`);
-
     return loudnessData;
   }
 
   /**
-   * Pick a random frame from an array
+   * RMS analyzer: voice band-passed RMS level computed once per video frame
    */
-  pickRandomFrame(frameArray) {
-    return frameArray[Math.floor(Math.random() * frameArray.length)];
-  }
+  async extractRmsLoudness() {
+    console.log(`  Extracting loudness data using per-frame voice band RMS...`);
 
-  /**
-   * Random rotation angle
-   */
-  randomRotation() {
-    return (Math.random() * 2 - 1) * this.maxRotation;
-  }
+    const sampleRate = 16000;
+    const samplesPerFrame = Math.round(sampleRate * this.frameDuration);
+    const rmsKey = 'lavfi.astats.Overall.RMS_level';
+    const tempFile = '/tmp/caricature-rms.log';
 
-  /**
-   * Generate audio-synchronized sequence with loudness-based mouth animation
-   */
-  async generateAudioSequence() {
-    if (!this.audioInput) {
-      throw new Error('Audio input required for synchronized animation');
-    }
+    const filter = `aformat=channel_layouts=mono,aresample=${sampleRate},` +
+      `highpass=f=${this.voiceBand[0]},lowpass=f=${this.voiceBand[1]},` +
+      `asetnsamples=n=${samplesPerFrame}:p=0,astats=metadata=1:reset=1,` +
+      `ametadata=mode=print:key=${rmsKey}:file=${tempFile}`;
 
-    // Extract loudness data from audio
-    const loudnessData = await this.extractLoudnessData();
+    try {
+      execSync(
+        `ffmpeg -i "${this.audioInput}" -af "${filter}" -f null - 2>/dev/null`,
+        { maxBuffer: 50 * 1024 * 1024 }
+      );
+    } catch (e) {
+      // ffmpeg returns non-zero for null output, which is expected
+    }
 
-    const sequence = [];
-    // Use actual audio duration instead of last sample time to ensure full coverage
-    const totalDuration = this.audioDuration;
-    const frameRate = 25; // fps
-    const frameDuration = 1 / frameRate;
+    if (!fs.existsSync(tempFile)) {
+      return [];
+    }
 
-    console.log('🎬 Generating audio-synchronized sequence...\n');
+    const loudnessData = this.readMetadataLog(tempFile)
+      .filter(frame => frame.values[rmsKey] !== undefined && !isNaN(frame.values[rmsKey]))
+      .map(frame => ({ time: frame.time, loudness: frame.values[rmsKey] }));
 
-    // Generate sequence at constant frame rate
-    for (let time = 0; time < totalDuration; time += frameDuration) {
-      // Find closest loudness sample
-      const closestSample = loudnessData.reduce((prev, curr) => {
-        return Math.abs(curr.time - time) < Math.abs(prev.time - time) ? curr : prev;
-      });
+    // Cleanup
+    try {
+      fs.unlinkSync(tempFile);
+    } catch (e) {}
 
-      // Determine if mouth should be open based on threshold
-      const isMouthOpen = closestSample.loudness > this.loudnessThreshold;
+    return loudnessData;
+  }
 
-      // Select frame: if mouth open, pick random from open frames; otherwise use closed
-      let frame;
-      if (isMouthOpen) {
-        frame = this.pickRandomFrame(this.openFrames);
-      } else {
-        // Use first closed frame, or pick randomly if multiple exist
-        frame = this.closedFrames.length === 1
-          ? this.closedFrames[0]
-          : this.pickRandomFrame(this.closedFrames);
+  /**
+   * Parse an ametadata print log into [{ time, values }] per audio frame
+   */
+  readMetadataLog(logFile) {
+    const frames = [];
+    let current = null;
+
+    for (const line of fs.readFileSync(logFile, 'utf-8').split('\n')) {
+      // Format: frame:12   pts:7680    pts_time:0.48
+      const frameMatch = line.match(/pts_time:\s*([-\d.]+)/);
+      if (frameMatch) {
+        current = { time: parseFloat(frameMatch[1]), values: {} };
+        frames.push(current);
+        continue;
       }
 
-      const rotation = this.randomRotation();
-
-      sequence.push({
-        frame: frame,
-        duration: frameDuration,
-        rotation: rotation,
-        frameName: path.basename(frame),
-        time: time,
-        loudness: closestSample.loudness,
-        mouthOpen: isMouthOpen
-      });
+      // Format: lavfi.astats.Overall.RMS_level=-32.113456
+      const valueMatch = line.match(/^(lavfi\.[^=]+)=(.*)$/);
+      if (valueMatch && current) {
+        const raw = valueMatch[2].trim();
+        // Digital silence is reported as -inf, clamp it like ebur128's floor
+        current.values[valueMatch[1]] = raw === '-inf' ? -120 : parseFloat(raw);
+      }
     }
 
-    console.log(`✓ Generated ${sequence.length} frames`);
-    const openCount = sequence.filter(s => s.mouthOpen).length;
-    const closedCount = sequence.length - openCount;
-    console.log(`  Open frames: ${openCount} (${(openCount/sequence.length*100).toFixed(1)}%)`);
-    console.log(`  Closed frames: ${closedCount} (${(closedCount/sequence.length*100).toFixed(1)}%)\n`);
-
-    return sequence;
+    return frames;
   }
 
   /**
-   * Create resized frame without rotation (for performance when rotation disabled)
+   * Extract per-video-frame band energies (dB) for viseme classification
    */
-  async createResizedFrame(inputFrame, index) {
-    const outputFrame = `/tmp/caricature-${index}.png`;
-
-    // Just resize without rotation
-    const args = [
-      inputFrame,
-      '-resize', `${this.size}x${this.size}^`,
-      '-gravity', 'center',
-      '-extent', `${this.size}x${this.size}`,
-      outputFrame
-    ];
+  async extractSpectralData() {
+    console.log('🌈 Analyzing spectral bands for visemes...\n');
+
+    const sampleRate = 16000;
+    const samplesPerFrame = Math.round(sampleRate * this.frameDuration);
+    const rmsKey = 'lavfi.astats.Overall.RMS_level';
+    const logFiles = SPECTRAL_BANDS.map(band => `/tmp/caricature-band-${band.name}.log`);
+
+    // One pass: split the mono voice signal into bands and log each band's RMS per frame
+    const branches = SPECTRAL_BANDS.map((band, i) =>
+      `[b${i}]highpass=f=${band.low},lowpass=f=${band.high},astats=metadata=1:reset=1,` +
+      `ametadata=mode=print:key=${rmsKey}:file=${logFiles[i]}[o${i}]`
+    );
+    const filter = `[0:a]aformat=channel_layouts=mono,aresample=${sampleRate},` +
+      `asetnsamples=n=${samplesPerFrame}:p=0,asplit=${SPECTRAL_BANDS.length}` +
+      SPECTRAL_BANDS.map((band, i) => `[b${i}]`).join('') + ';' + branches.join(';');
+    const outputs = SPECTRAL_BANDS.map((band, i) => `-map "[o${i}]" -f null -`).join(' ');
 
-    return new Promise((resolve, reject) => {
-      const convert = spawn('convert', args);
+    try {
+      execSync(
+        `ffmpeg -i "${this.audioInput}" -filter_complex "${filter}" ${outputs} 2>/dev/null`,
+        { maxBuffer: 50 * 1024 * 1024 }
+      );
+    } catch (e) {
+      // ffmpeg returns non-zero for null output, which is expected
+    }
 
-      let stderr = '';
+    const bandFrames = logFiles.map(logFile => {
+      if (!fs.existsSync(logFile)) {
+        return [];
+      }
+      const frames = this.readMetadataLog(logFile);
+      try {
+        fs.unlinkSync(logFile);
+      } catch (e) {}
+      return frames;
+    });
 
-      convert.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
+    const frameCount = Math.min(...bandFrames.map(frames => frames.length));
+    if (frameCount === 0) {
+      throw new Error('No spectral data extracted (ffmpeg needs the astats and ametadata filters)');
+    }
 
-      convert.on('close', (code) => {
-        if (code === 0) {
-          // Verify the file was actually created
-          if (!fs.existsSync(outputFrame)) {
-            reject(new Error(`Frame ${index} was not created at ${outputFrame}`));
-          } else {
-            resolve(outputFrame);
-          }
-        } else {
-          reject(new Error(`ImageMagick failed for frame ${index}: ${stderr}`));
-        }
+    const spectralData = [];
+    for (let i = 0; i < frameCount; i++) {
+      const entry = { time: bandFrames[0][i].time };
+      SPECTRAL_BANDS.forEach((band, b) => {
+        entry[band.name] = bandFrames[b][i].values[rmsKey];
       });
+      spectralData.push(entry);
+    }
 
-      convert.on('error', (err) => {
-        reject(new Error(`ImageMagick spawn error for frame ${index}: ${err.message}`));
-      });
-    });
+    console.log(`✓ Analyzed ${spectralData.length} spectral frames\n`);
+    return spectralData;
   }
 
   /**
-   * Create rotated frame with effects
+   * Voice activity per video frame from energy, spectral flatness and
+   * zero-crossing rate. Speech is tonal (low flatness), its energy rises
+   * and falls with every syllable and it alternates voiced and unvoiced
+   * sounds (changing zero-crossing rate); music beds are steadier and
+   * noise is flat.
    */
-  async createRotatedFrame(inputFrame, rotation, index) {
-    const outputFrame = `/tmp/caricature-${index}.png`;
-
-    // Build ImageMagick command with rotation and resize
-    const args = [
-      inputFrame,
-      '-resize', `${this.size}x${this.size}^`,
-      '-gravity', 'center',
-      '-extent', `${this.size}x${this.size}`,
-      '-background', 'none',
-      '-rotate', rotation.toFixed(2),
-      '-gravity', 'center',
-      '-extent', `${this.size}x${this.size}`,
-    ];
+  async detectVoiceActivity() {
+    console.log('🗣️  Detecting voice activity...\n');
+
+    const sampleRate = 16000;
+    const samplesPerFrame = Math.round(sampleRate * this.frameDuration);
+    const keys = {
+      energy: 'lavfi.astats.Overall.RMS_level',
+      zcr: 'lavfi.astats.1.Zero_crossings_rate',
+      flatness: 'lavfi.aspectralstats.1.flatness'
+    };
+    const logFiles = {
+      energy: '/tmp/caricature-vad-energy.log',
+      zcr: '/tmp/caricature-vad-zcr.log',
+      flatness: '/tmp/caricature-vad-flatness.log'
+    };
+
+    const printers = Object.keys(keys)
+      .map(name => `ametadata=mode=print:key=${keys[name]}:file=${logFiles[name]}`)
+      .join(',');
+    const filter = `aformat=channel_layouts=mono,aresample=${sampleRate},` +
+      `asetnsamples=n=${samplesPerFrame}:p=0,aspectralstats=win_size=512,` +
+      `astats=metadata=1:reset=1,${printers}`;
 
-    // Add glitch effects based on level
-    if (this.glitchLevel >= 1) {
-      // Slight color shift
-      args.push('-modulate', '100,110,100');
+    try {
+      execSync(
+        `ffmpeg -i "${this.audioInput}" -af "${filter}" -f null - 2>/dev/null`,
+        { maxBuffer: 50 * 1024 * 1024 }
+      );
+    } catch (e) {
+      // ffmpeg returns non-zero for null output, which is expected
     }
 
-    if (this.glitchLevel >= 2) {
-      // Add some noise
-      args.push('-attenuate', '0.3', '+noise', 'Impulse');
+    const logs = {};
+    for (const name of Object.keys(keys)) {
+      logs[name] = fs.existsSync(logFiles[name]) ? this.readMetadataLog(logFiles[name]) : [];
+      try {
+        fs.unlinkSync(logFiles[name]);
+      } catch (e) {}
     }
 
-    if (this.glitchLevel >= 3) {
-      // Chromatic aberration effect
-      args.push('-channel', 'R', '-evaluate', 'add', '5');
+    const frameCount = Math.min(...Object.values(logs).map(frames => frames.length));
+    if (frameCount === 0) {
+      throw new Error('No voice activity features extracted (ffmpeg needs the astats and aspectralstats filters)');
     }
 
-    args.push(outputFrame);
+    const features = [];
+    for (let i = 0; i < frameCount; i++) {
+      features.push({
+        time: logs.energy[i].time,
+        energy: logs.energy[i].values[keys.energy],
+        zcr: logs.zcr[i].values[keys.zcr],
+        flatness: logs.flatness[i].values[keys.flatness]
+      });
+    }
 
-    return new Promise((resolve, reject) => {
-      const convert = spawn('convert', args);
+    const voiceActivity = this.classifyVoiceActivity(features);
+    const voiceCount = voiceActivity.filter(frame => frame.voice).length;
+    console.log(`✓ Voice detected in ${voiceCount} of ${voiceActivity.length} frames (${(voiceCount / voiceActivity.length * 100).toFixed(1)}%)`);
+    console.log(`  Sensitivity: ${this.vadSensitivity}\n`);
 
-      let stderr = '';
+    if (this.vadDebug) {
+      this.writeVoiceActivityDebug(voiceActivity);
+    }
 
-      convert.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
+    return voiceActivity;
+  }
 
-      convert.on('close', (code) => {
-        if (code === 0) {
+  /**
+   * Score per-frame features and decide speech / not speech
+   */
+  classifyVoiceActivity(features) {
+    const clamp = (value) => Math.min(1, Math.max(0, value));
+    const standardDeviation = (values) => {
+      const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+      return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length);
+    };
+
+    // Syllable-rate features need context: look 250 ms either side
+    const context = Math.max(1, Math.round(0.25 / this.frameDuration));
+    // Keep speech alive for 200 ms after it stops so word endings are not clipped
+    const hangover = Math.round(0.2 / this.frameDuration);
+    const scoreThreshold = 1 - this.vadSensitivity;
+
+    let hangoverLeft = 0;
+    return features.map((frame, i) => {
+      const window = features.slice(Math.max(0, i - context), i + context + 1);
+      const audible = window.map(f => Math.max(f.energy, SILENCE_FLOOR));
+
+      const modulation = standardDeviation(audible);
+      const zcrChange = standardDeviation(window.map(f => f.zcr || 0));
+      const flatness = isNaN(frame.flatness) ? 1 : frame.flatness;
+
+      const modulationScore = clamp((modulation - 3) / 6);
+      const tonalScore = clamp((0.5 - flatness) / 0.4);
+      const zcrScore = clamp(zcrChange / 0.1);
+      const score = frame.energy < SILENCE_FLOOR
+        ? 0
+        : 0.5 * modulationScore + 0.3 * tonalScore + 0.2 * zcrScore;
+
+      let voice = score >= scoreThreshold;
+      if (voice) {
+        hangoverLeft = hangover;
+      } else if (hangoverLeft > 0 && frame.energy >= SILENCE_FLOOR) {
+        hangoverLeft--;
+        voice = true;
+      }
+
+      return { ...frame, modulation, score, voice };
+    });
+  }
+
+  /**
+   * Dump per-frame VAD features and decisions for tuning
+   */
+  writeVoiceActivityDebug(voiceActivity) {
+    if (path.extname(this.vadDebug).toLowerCase() === '.json') {
+      fs.writeFileSync(this.vadDebug, JSON.stringify(voiceActivity, null, 2));
+    } else {
+      // Features missing from the metadata logs are left empty
+      const fixed = (value, digits) => Number.isFinite(value) ? value.toFixed(digits) : '';
+      const rows = voiceActivity.map(frame => [
+        frame.time.toFixed(3),
+        frame.energy.toFixed(1),
+        fixed(frame.flatness, 3),
+        fixed(frame.zcr, 4),
+        frame.modulation.toFixed(2),
+        frame.score.toFixed(3),
+        frame.voice ? 1 : 0
+      ].join(','));
+      fs.writeFileSync(this.vadDebug, ['time,energy,flatness,zcr,modulation,score,voice', ...rows].join('\n') + '\n');
+    }
+    console.log(`  VAD debug written to ${this.vadDebug}\n`);
+  }
+
+  /**
+   * Classify the band energies of an open-mouth frame into a viseme.
+   * Rough formant heuristics: fricatives are dominated by high frequency
+   * noise, front vowels put their second formant above a quiet mid band,
+   * rounded vowels keep their energy low, everything else reads as open.
+   */
+  classifyViseme(bands) {
+    const power = SPECTRAL_BANDS.map(band => Math.pow(10, bands[band.name] / 10));
+    const total = power.reduce((sum, p) => sum + p, 0);
+    if (total === 0) {
+      return 'rest';
+    }
+
+    const [low, mid, high, fric] = power.map(p => p / total);
+
+    if (fric > 0.35 && low < 0.3) {
+      return 'FV';
+    }
+    if (high > mid) {
+      return 'E';
+    }
+    if (low > 0.6) {
+      return 'O';
+    }
+    return 'AI';
+  }
+
+  /**
+   * Turn short closures between open frames into M/B/P visemes
+   */
+  markClosures(sequence, frameDuration) {
+    const maxFrames = Math.max(1, Math.round(this.maxClosureDuration / frameDuration));
+    let i = 0;
+
+    while (i < sequence.length) {
+      if (sequence[i].mouthOpen) {
+        i++;
+        continue;
+      }
+
+      let end = i;
+      while (end < sequence.length && !sequence[end].mouthOpen) {
+        end++;
+      }
+
+      const isBetweenSpeech = i > 0 && end < sequence.length;
+      if (isBetweenSpeech && end - i <= maxFrames) {
+        const frame = this.selectFrame(null, 'MBP');
+        for (let j = i; j < end; j++) {
+          sequence[j].viseme = 'MBP';
+          sequence[j].frame = frame;
+          sequence[j].frameName = path.basename(frame);
+        }
+      }
+      i = end;
+    }
+  }
+
+  /**
+   * Read a lip-sync cue file into [{ start, end, value, shape }] segments.
+   * Supports Rhubarb TSV (.tsv/.txt) and JSON, Papagayo .pgo and Moho switch .dat.
+   */
+  readMouthCues(cueFile) {
+    if (!fs.existsSync(cueFile)) {
+      throw new Error(`Mouth cue file not found: ${cueFile}`);
+    }
+
+    const content = fs.readFileSync(cueFile, 'utf-8');
+    const extension = path.extname(cueFile).toLowerCase();
+
+    let parsed;
+    if (extension === '.json') {
+      parsed = this.parseRhubarbJson(content);
+    } else if (extension === '.tsv' || extension === '.txt') {
+      parsed = this.parseRhubarbTsv(content);
+    } else if (extension === '.pgo') {
+      parsed = this.parsePapagayo(content);
+    } else if (extension === '.dat') {
+      parsed = this.parseMohoDat(content);
+    } else {
+      throw new Error(`Unsupported mouth cue format: ${extension} (use .tsv, .txt, .json, .pgo or .dat)`);
+    }
+
+    if (!VISEMES[this.cueFallback]) {
+      throw new Error(`Unknown cue fallback shape: ${this.cueFallback} (use ${Object.keys(VISEMES).join(', ')})`);
+    }
+
+    // Switch points become contiguous segments, later points win at equal times
+    const points = parsed.points
+      .map((point, order) => ({ ...point, order }))
+      .sort((a, b) => a.time - b.time || a.order - b.order)
+      .filter((point, i, all) => i === all.length - 1 || all[i + 1].time !== point.time);
+
+    if (points.length === 0) {
+      throw new Error(`No mouth cues found in ${cueFile}`);
+    }
+
+    const shapes = CUE_SHAPES[parsed.format];
+    const unknown = new Set();
+    const cues = points.map((point, i) => {
+      let shape = shapes[point.value];
+      if (!shape) {
+        unknown.add(point.value);
+        shape = { viseme: this.cueFallback, openness: 0.5 };
+      }
+      return {
+        start: point.time,
+        end: i + 1 < points.length ? points[i + 1].time : Infinity,
+        value: point.value,
+        shape: shape
+      };
+    });
+
+    if (unknown.size > 0) {
+      console.log(`  ⚠️  Unknown cues mapped to ${this.cueFallback}: ${[...unknown].join(', ')}`);
+    }
+
+    return cues;
+  }
+
+  /**
+   * Rhubarb TSV: one "<seconds>\t<letter>" switch point per line
+   */
+  parseRhubarbTsv(content) {
+    const points = [];
+    for (const line of content.split('\n')) {
+      const match = line.trim().match(/^([\d.]+)\s+(\S+)$/);
+      if (match) {
+        points.push({ time: parseFloat(match[1]), value: match[2] });
+      }
+    }
+    return { format: 'rhubarb', points };
+  }
+
+  /**
+   * Rhubarb JSON: { mouthCues: [{ start, end, value }] }
+   */
+  parseRhubarbJson(content) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (e) {
+      throw new Error(`Invalid Rhubarb JSON: ${e.message}`);
+    }
+
+    if (!data || !Array.isArray(data.mouthCues)) {
+      throw new Error('Invalid Rhubarb JSON: missing mouthCues array');
+    }
+
+    const points = [];
+    for (const cue of data.mouthCues) {
+      points.push({ time: cue.start, value: cue.value });
+      // Gaps between cues fall back to rest
+      if (cue.end !== undefined) {
+        points.push({ time: cue.end, value: 'X', gap: true });
+      }
+    }
+
+    // A gap point only survives when no cue starts at the same time
+    const starts = new Set(data.mouthCues.map(cue => cue.start));
+    return {
+      format: 'rhubarb',
+      points: points.filter(point => !point.gap || !starts.has(point.time))
+    };
+  }
+
+  /**
+   * Papagayo .pgo: voices > phrases > words > "<frame> <phoneme>" lines.
+   * Only the first voice is used; silence between words becomes rest.
+   */
+  parsePapagayo(content) {
+    const lines = content.split(/\r?\n/).map(line => line.trim());
+    if (!lines[0] || !lines[0].startsWith('lipsync version')) {
+      throw new Error('Invalid Papagayo file: missing "lipsync version" header');
+    }
+
+    const fps = parseFloat(lines[2]);
+    if (!(fps > 0)) {
+      throw new Error('Invalid Papagayo file: bad frame rate');
+    }
+
+    let cursor = 5; // header: version, sound file, fps, length, voice count
+    const next = () => {
+      if (cursor >= lines.length) {
+        throw new Error('Invalid Papagayo file: unexpected end of file');
+      }
+      return lines[cursor++];
+    };
+
+    const points = [{ time: 0, value: 'rest' }];
+    next(); // voice name
+    next(); // voice text
+    const phraseCount = parseInt(next());
+    for (let p = 0; p < phraseCount; p++) {
+      next(); // phrase text
+      next(); // phrase start frame
+      next(); // phrase end frame
+      const wordCount = parseInt(next());
+      for (let w = 0; w < wordCount; w++) {
+        const wordFields = next().split(/\s+/);
+        const wordEnd = parseInt(wordFields[wordFields.length - 2]);
+        const phonemeCount = parseInt(wordFields[wordFields.length - 1]);
+        for (let ph = 0; ph < phonemeCount; ph++) {
+          const [frame, phoneme] = next().split(/\s+/);
+          points.push({ time: parseInt(frame) / fps, value: phoneme });
+        }
+        points.push({ time: (wordEnd + 1) / fps, value: 'rest' });
+      }
+    }
+
+    return { format: 'prestonBlair', points };
+  }
+
+  /**
+   * Moho switch .dat: "MohoSwitch1" header, then "<frame> <shape>" lines (1-based frames)
+   */
+  parseMohoDat(content) {
+    const lines = content.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+    if (lines[0] !== 'MohoSwitch1') {
+      throw new Error('Invalid Moho switch file: missing "MohoSwitch1" header');
+    }
+
+    const points = [];
+    for (const line of lines.slice(1)) {
+      const match = line.match(/^(\d+)\s+(\S+)$/);
+      if (match) {
+        points.push({ time: (parseInt(match[1]) - 1) / this.cuesFps, value: match[2] });
+      }
+    }
+
+    // Rhubarb can export letters instead of Preston Blair names
+    const rhubarbOnly = ['A', 'B', 'C', 'D', 'F', 'G', 'H', 'X'];
+    const format = points.some(point => rhubarbOnly.includes(point.value)) ? 'rhubarb' : 'prestonBlair';
+    return { format, points };
+  }
+
+  /**
+   * Read and load the timeline cue sheet, if one is set
+   */
+  loadTimeline() {
+    if (!this.timeline) {
+      return;
+    }
+
+    this.segments = this.readTimeline(this.timeline);
+    console.log(`🗓️  Timeline: ${this.segments.length} segments from ${this.timeline}`);
+    for (const segment of this.segments) {
+      const end = segment.end === Infinity ? 'end' : `${segment.end.toFixed(2)}s`;
+      const changes = [
+        segment.character && `character ${segment.character}`,
+        segment.expression && `expression ${segment.expression}`,
+        segment.threshold !== undefined && `threshold ${segment.threshold} dB`,
+        segment.rotation !== undefined && `rotation ${segment.rotation}°`,
+        segment.glitch !== undefined && `glitch ${segment.glitch}`,
+        segment.transition !== 'cut' && `${segment.transition} in`
+      ].filter(Boolean);
+      console.log(`  ${segment.start.toFixed(2)}s-${end}: ${changes.join(', ') || 'defaults'}`);
+    }
+    console.log('');
+  }
+
+  /**
+   * Parse a timeline cue sheet: an array of segments (or { "segments": [...] }) with
+   * start/end times that set character, expression group, threshold, rotation and
+   * glitch level, entered with a cut, a crossfade or a glitch burst
+   */
+  readTimeline(timelineFile) {
+    if (!fs.existsSync(timelineFile)) {
+      throw new Error(`Timeline file not found: ${timelineFile}`);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(timelineFile, 'utf-8'));
+    } catch (e) {
+      throw new Error(`Invalid timeline JSON: ${e.message}`);
+    }
+
+    const entries = Array.isArray(data) ? data : data.segments;
+    if (!Array.isArray(entries)) {
+      throw new Error('Invalid timeline: expected an array of segments or { "segments": [...] }');
+    }
+
+    const segments = entries.map((entry, i) => {
+      const unknown = Object.keys(entry).find(key => !TIMELINE_KEYS.includes(key));
+      if (unknown) {
+        throw new Error(`Timeline segment ${i + 1}: unknown key "${unknown}" (use ${TIMELINE_KEYS.join(', ')})`);
+      }
+
+      const transition = entry.transition || 'cut';
+      if (!TIMELINE_TRANSITIONS.includes(transition)) {
+        throw new Error(`Timeline segment ${i + 1}: unknown transition "${transition}" (use ${TIMELINE_TRANSITIONS.join(', ')})`);
+      }
+      if (entry.glitch !== undefined && ![0, 1, 2, 3].includes(entry.glitch)) {
+        throw new Error(`Timeline segment ${i + 1}: glitch must be 0-3`);
+      }
+
+      return {
+        start: this.parseTimestamp(entry.start, `timeline segment ${i + 1} start`),
+        end: entry.end !== undefined ? this.parseTimestamp(entry.end, `timeline segment ${i + 1} end`) : null,
+        character: entry.character || null,
+        expression: entry.expression || null,
+        threshold: entry.threshold,
+        rotation: entry.rotation,
+        glitch: entry.glitch,
+        transition: transition,
+        transitionDuration: entry.transitionDuration !== undefined ? entry.transitionDuration : 0.3
+      };
+    }).sort((a, b) => a.start - b.start);
+
+    // Segments without an end run until the next one starts
+    segments.forEach((segment, i) => {
+      const next = segments[i + 1];
+      if (segment.end === null) {
+        segment.end = next ? next.start : Infinity;
+      }
+      if (segment.end <= segment.start) {
+        throw new Error(`Timeline segment at ${segment.start}s ends before it starts`);
+      }
+      if (next && segment.end > next.start) {
+        throw new Error(`Timeline segments at ${segment.start}s and ${next.start}s overlap`);
+      }
+    });
+
+    return segments;
+  }
+
+  /**
+   * Seconds from a number or a "m:ss.s" / "h:mm:ss.s" timestamp
+   */
+  parseTimestamp(value, label) {
+    if (typeof value === 'number' && value >= 0) {
+      return value;
+    }
+    if (typeof value === 'string' && /^(\d+:){0,2}\d+(\.\d+)?$/.test(value.trim())) {
+      return value.trim().split(':').reduce((seconds, part) => seconds * 60 + parseFloat(part), 0);
+    }
+    throw new Error(`Invalid ${label}: ${JSON.stringify(value)}`);
+  }
+
+  /**
+   * Timeline segment covering a time (null outside every segment)
+   */
+  segmentAt(time) {
+    return this.segments.find(segment => time >= segment.start && time < segment.end) || null;
+  }
+
+  /**
+   * A setting at a point in time: the timeline segment's value, else the run-wide one
+   */
+  settingAt(time, key, fallback) {
+    const segment = this.segmentAt(time);
+    return segment && segment[key] !== undefined ? segment[key] : fallback;
+  }
+
+  /**
+   * Compute the dB boundaries between open mouth levels.
+   * Returns one boundary less than there are levels; a single level needs none.
+   */
+  computeLevelBands(loudnessData) {
+    const count = this.levelFrames.length;
+    if (count <= 1) {
+      return [];
+    }
+
+    const names = this.levelFrames.map(level => level.name).join(', ');
+
+    if (this.levelMode === 'bands') {
+      if (!this.levelBands || this.levelBands.length !== count - 1) {
+        throw new Error(`Mouth levels (${names}) need ${count - 1} band boundaries, got ${this.levelBands ? this.levelBands.length : 0}`);
+      }
+      return [...this.levelBands].sort((a, b) => a - b);
+    }
+
+    if (this.levelMode !== 'percentile') {
+      throw new Error(`Unknown level mode: ${this.levelMode} (use bands or percentile)`);
+    }
+
+    // Split the loudness above the threshold into equally populated bands
+    const { close } = this.resolveThresholds();
+    const voiced = loudnessData
+      .map(sample => sample.loudness)
+      .filter(loudness => loudness > close)
+      .sort((a, b) => a - b);
+
+    if (voiced.length === 0) {
+      return new Array(count - 1).fill(Infinity);
+    }
+
+    const bands = [];
+    for (let i = 1; i < count; i++) {
+      bands.push(voiced[Math.min(voiced.length - 1, Math.floor(voiced.length * i / count))]);
+    }
+    return bands;
+  }
+
+  /**
+   * Index of the open mouth level matching a loudness value
+   */
+  pickMouthLevel(loudness, bands) {
+    let level = 0;
+    while (level < bands.length && loudness > bands[level]) {
+      level++;
+    }
+    return level;
+  }
+
+  /**
+   * Resolve the open/close thresholds (hysteresis) from the options
+   */
+  resolveThresholds() {
+    const open = this.openThreshold !== null ? this.openThreshold : this.loudnessThreshold;
+    const close = this.closeThreshold !== null ? this.closeThreshold : open;
+
+    if (close > open) {
+      throw new Error(`Close threshold (${close} dB) must not be above open threshold (${open} dB)`);
+    }
+
+    return { open, close };
+  }
+
+  /**
+   * Create a stateful mouth gate: opens above the open threshold, closes
+   * below the close threshold, and honors the minimum open/closed durations
+   */
+  createMouthGate(frameDuration) {
+    const { open: openThreshold, close: closeThreshold } = this.resolveThresholds();
+    const minOpenFrames = Math.round(this.minOpenDuration / frameDuration);
+    const minClosedFrames = Math.round(this.minClosedDuration / frameDuration);
+
+    let isOpen = false;
+    let framesInState = Infinity; // the very first frame may switch immediately
+
+    return {
+      step(loudness) {
+        framesInState++;
+        const minFrames = isOpen ? minOpenFrames : minClosedFrames;
+        if (framesInState >= minFrames) {
+          const shouldOpen = isOpen ? loudness > closeThreshold : loudness > openThreshold;
+          if (shouldOpen !== isOpen) {
+            isOpen = shouldOpen;
+            framesInState = 0;
+          }
+        }
+        return isOpen;
+      }
+    };
+  }
+
+  /**
+   * Open/closed mouth state for every video frame, from the nearest loudness sample
+   */
+  generateMouthStates(loudnessData, totalDuration, frameDuration, voiceActivity = null) {
+    const mouthGate = this.createMouthGate(frameDuration);
+    const { open: openThreshold } = this.resolveThresholds();
+    const states = [];
+
+    let sampleIndex = 0;
+
+    for (let time = 0; time < totalDuration; time += frameDuration) {
+      // Find closest loudness sample (data is sorted, so only ever move forward)
+      while (sampleIndex < loudnessData.length - 1 &&
+        Math.abs(loudnessData[sampleIndex + 1].time - time) <= Math.abs(loudnessData[sampleIndex].time - time)) {
+        sampleIndex++;
+      }
+      const closestSample = loudnessData[sampleIndex];
+
+      // Frames VAD marks as not speech count as silent, so the gate closes the mouth (hold times still apply)
+      let voice = null;
+      if (voiceActivity) {
+        const vadIndex = Math.round((time - this.syncOffset) / this.frameDuration);
+        const vadFrame = voiceActivity[Math.min(voiceActivity.length - 1, Math.max(0, vadIndex))];
+        voice = vadFrame.voice;
+      }
+
+      // Timeline segments may move the threshold; shifting the loudness keeps the hysteresis gap
+      const shift = this.settingAt(time, 'threshold', openThreshold) - openThreshold;
+
+      // Determine if mouth should be open based on the thresholds and hold times
+      states.push({
+        time: time,
+        loudness: closestSample.loudness,
+        mouthOpen: mouthGate.step(voice === false ? -Infinity : closestSample.loudness - shift),
+        voice: voice
+      });
+    }
+
+    return states;
+  }
+
+  /**
+   * Value at a fraction (0-1) of an ascending sorted array
+   */
+  percentile(sortedValues, fraction) {
+    const index = Math.min(sortedValues.length - 1, Math.max(0, Math.floor(fraction * sortedValues.length)));
+    return sortedValues[index];
+  }
+
+  /**
+   * Derive noise floor, speech level and a threshold that opens the mouth
+   * for roughly openRatio of the samples
+   */
+  calibrateThreshold(loudnessData, openRatio = this.openRatio) {
+    const values = loudnessData.map(sample => sample.loudness).sort((a, b) => a - b);
+    // Digital silence (e.g. ebur128's -120.7) says nothing about the room noise
+    const audible = values.filter(value => value >= SILENCE_FLOOR);
+    const noiseFloor = this.percentile(audible.length > 0 ? audible : values, 0.1);
+    const speechLevel = this.percentile(values, 0.95);
+    const target = this.percentile(values, 1 - openRatio);
+
+    // Never open on the noise floor, never require the loudest peaks
+    const lowest = noiseFloor + 6;
+    const highest = speechLevel - 3;
+    const threshold = lowest <= highest
+      ? Math.min(highest, Math.max(lowest, target))
+      : (noiseFloor + speechLevel) / 2;
+
+    return {
+      noiseFloor: noiseFloor,
+      speechLevel: speechLevel,
+      threshold: Math.round(threshold * 10) / 10
+    };
+  }
+
+  /**
+   * Replace an 'auto' threshold with a calibrated one
+   */
+  resolveAutoThreshold(loudnessData) {
+    if (this.loudnessThreshold !== 'auto') {
+      return;
+    }
+
+    const calibration = this.calibrateThreshold(loudnessData);
+    this.loudnessThreshold = calibration.threshold;
+    console.log('🎚️  Auto threshold calibration');
+    console.log(`  Noise floor: ${calibration.noiseFloor.toFixed(1)} dB`);
+    console.log(`  Speech level: ${calibration.speechLevel.toFixed(1)} dB`);
+    console.log(`  Threshold: ${calibration.threshold} dB (targeting ${(this.openRatio * 100).toFixed(0)}% open)\n`);
+  }
+
+  /**
+   * Print the loudness distribution, suggested thresholds and the
+   * resulting open/closed split without rendering anything
+   */
+  async analyze() {
+    console.log('📊 CARICATURE LOUDNESS ANALYSIS');
+    console.log('='.repeat(60) + '\n');
+
+    const loudnessData = await this.extractLoudnessData();
+    const values = loudnessData.map(sample => sample.loudness).sort((a, b) => a - b);
+
+    // Histogram in 5 dB bins, everything below the silence floor counts as silence
+    console.log('Loudness distribution:');
+    const binSize = 5;
+    const bins = new Map();
+    for (const value of values) {
+      const bin = value < SILENCE_FLOOR ? -Infinity : Math.floor(value / binSize) * binSize;
+      bins.set(bin, (bins.get(bin) || 0) + 1);
+    }
+    const largestBin = Math.max(...bins.values());
+    for (const [bin, count] of [...bins.entries()].sort((a, b) => a[0] - b[0])) {
+      const label = (bin === -Infinity ? `< ${SILENCE_FLOOR}` : `${bin} .. ${bin + binSize}`).padStart(10);
+      const bar = '█'.repeat(Math.max(1, Math.round(count / largestBin * 40)));
+      console.log(`  ${label} dB ${bar} ${(count / values.length * 100).toFixed(1)}%`);
+    }
+    console.log('');
+
+    console.log('Percentiles:');
+    for (const fraction of [0.1, 0.25, 0.5, 0.75, 0.9, 0.95]) {
+      console.log(`  p${String(fraction * 100).padEnd(3)} ${this.percentile(values, fraction).toFixed(1)} dB`);
+    }
+    console.log('');
+
+    const calibration = this.calibrateThreshold(loudnessData);
+    console.log(`Noise floor: ${calibration.noiseFloor.toFixed(1)} dB`);
+    console.log(`Speech level: ${calibration.speechLevel.toFixed(1)} dB\n`);
+
+    // Share of loudness samples above a threshold (no gate: hysteresis and hold times come below)
+    const openShare = (threshold) => values.filter(value => value > threshold).length / values.length;
+
+    console.log('Suggested thresholds:');
+    const ratios = [...new Set([0.3, this.openRatio, 0.6])].sort((a, b) => a - b);
+    const suggestions = ratios.map(ratio => {
+      const { threshold } = this.calibrateThreshold(loudnessData, ratio);
+      const open = openShare(threshold);
+      console.log(`  --threshold ${String(threshold).padEnd(6)} targets ${(ratio * 100).toFixed(0)}% open → ${(open * 100).toFixed(1)}% open, ${((1 - open) * 100).toFixed(1)}% closed`);
+      return { openRatio: ratio, threshold: threshold, open: open };
+    });
+    console.log('');
+
+    // The current settings run through the real mouth gate (hysteresis, hold times and VAD included)
+    const voiceActivity = this.vad ? await this.detectVoiceActivity() : null;
+    this.resolveAutoThreshold(loudnessData);
+    const states = this.generateMouthStates(loudnessData, this.audioDuration, this.frameDuration, voiceActivity);
+    const openCount = states.filter(state => state.mouthOpen).length;
+    console.log(`With current settings (threshold ${this.loudnessThreshold} dB):`);
+    console.log(`  Open frames: ${openCount} (${(openCount / states.length * 100).toFixed(1)}%)`);
+    console.log(`  Closed frames: ${states.length - openCount} (${((states.length - openCount) / states.length * 100).toFixed(1)}%)\n`);
+
+    return {
+      calibration: calibration,
+      suggestions: suggestions,
+      threshold: this.loudnessThreshold,
+      open: openCount / states.length
+    };
+  }
+
+  /**
+   * Pick the frame for a mouth level and optional viseme.
+   * Missing visemes fall back to the level's open frames, or to
+   * closed frames for rest and M/B/P.
+   */
+  selectFrame(level, viseme = null) {
+    if (viseme) {
+      const frames = this.visemeFrames[viseme];
+      if (frames && frames.length > 0) {
+        return this.pickRandomFrame(frames);
+      }
+      if (viseme === 'rest' || viseme === 'MBP') {
+        level = null;
+      }
+    }
+
+    if (level) {
+      return this.pickRandomFrame(level.frames);
+    }
+
+    // Use first closed frame, or pick randomly if multiple exist
+    return this.closedFrames.length === 1
+      ? this.closedFrames[0]
+      : this.pickRandomFrame(this.closedFrames);
+  }
+
+  /**
+   * Restart the random generator so a run depends only on the seed
+   */
+  resetRandom() {
+    this.random = createRandom(this.seed);
+  }
+
+  /**
+   * Print the seed so any render can be reproduced
+   */
+  logSeed() {
+    console.log(`🎲 Seed: ${this.seed} (reproduce with --seed ${this.seed})\n`);
+  }
+
+  /**
+   * Pick a random frame from an array
+   */
+  pickRandomFrame(frameArray) {
+    return frameArray[Math.floor(this.random() * frameArray.length)];
+  }
+
+  /**
+   * Random rotation angle
+   */
+  randomRotation(maxRotation = this.maxRotation) {
+    return (this.random() * 2 - 1) * maxRotation;
+  }
+
+  /**
+   * Give every sequence entry its head pose: rotation (degrees), offsetX/offsetY
+   * (pixels) and zoom (1 = original size). Styles other than jitter follow
+   * spring-damped targets, so the head moves in continuous curves.
+   */
+  applyMotion(sequence) {
+    if (!(this.motion in MOTION_STYLES)) {
+      throw new Error(`Unknown motion style: ${this.motion} (use ${Object.keys(MOTION_STYLES).join(', ')})`);
+    }
+
+    const style = MOTION_STYLES[this.motion];
+    if (!style) {
+      for (const item of sequence) {
+        item.rotation = this.randomRotation(this.settingAt(item.time, 'rotation', this.maxRotation));
+        item.offsetX = 0;
+        item.offsetY = 0;
+        item.zoom = 1;
+      }
+      return;
+    }
+
+    // --rotation (or a timeline segment's rotation) overrides the style's rotation amplitude
+    const rotationAmplitude = (time) => {
+      const rotation = this.settingAt(time, 'rotation', this.maxRotation);
+      return rotation !== 0 ? rotation : style.rotation;
+    };
+    const amplitude = {
+      rotation: rotationAmplitude(0),
+      offsetX: style.offset * this.size,
+      offsetY: style.offset * this.size,
+      zoom: style.zoom
+    };
+    const axes = Object.keys(amplitude);
+    const state = {};
+    for (const axis of axes) {
+      state[axis] = { value: 0, velocity: 0, target: 0 };
+    }
+
+    const retarget = (scale) => {
+      for (const axis of axes) {
+        state[axis].target = (this.random() * 2 - 1) * amplitude[axis] * scale;
+      }
+    };
+
+    // Louder onsets move the head further
+    const threshold = typeof this.loudnessThreshold === 'number' ? this.loudnessThreshold : -35;
+    const loudnessScale = (item) => item.loudness === null || item.loudness === undefined
+      ? 1
+      : Math.min(1.5, Math.max(0.4, 0.4 + (item.loudness - threshold) / 20));
+
+    let closedTime = 0;
+    sequence.forEach((item, i) => {
+      const dt = item.duration;
+      amplitude.rotation = rotationAmplitude(item.time);
+      const isOnset = item.mouthOpen && (i === 0 || !sequence[i - 1].mouthOpen);
+      closedTime = item.mouthOpen ? 0 : closedTime + dt;
+
+      if (isOnset) {
+        retarget(loudnessScale(item));
+      } else if (!item.mouthOpen && closedTime >= 0.6 && closedTime - dt < 0.6) {
+        // Settle back to the rest pose during pauses
+        retarget(0);
+      } else if (this.random() < style.wander * dt) {
+        retarget(0.3);
+      }
+
+      for (const axis of axes) {
+        const spring = state[axis];
+        const acceleration = style.stiffness * (spring.target - spring.value) - style.damping * spring.velocity;
+        spring.velocity += acceleration * dt;
+        spring.value += spring.velocity * dt;
+      }
+
+      item.rotation = state.rotation.value;
+      item.offsetX = state.offsetX.value;
+      item.offsetY = state.offsetY.value;
+      item.zoom = 1 + state.zoom.value;
+    });
+  }
+
+  /**
+   * Whether any entry of the sequence moves the head
+   */
+  hasMotion(sequence) {
+    return sequence.some(item =>
+      item.rotation !== 0 || item.offsetX !== 0 || item.offsetY !== 0 || item.zoom !== 1
+    );
+  }
+
+  /**
+   * Generate audio-synchronized sequence with loudness-based mouth animation
+   */
+  async generateAudioSequence() {
+    if (!this.audioInput) {
+      throw new Error('Audio input required for synchronized animation');
+    }
+
+    // Same seed, same performance
+    this.resetRandom();
+
+    // An exported (and possibly hand-edited) sequence replaces the analysis entirely
+    if (this.sequenceIn) {
+      return this.readSequence(this.sequenceIn);
+    }
+
+    // Hand-tuned cue files replace the loudness analysis entirely
+    if (this.mouthCues) {
+      return this.generateCueSequence();
+    }
+
+    // Extract loudness data from audio
+    const loudnessData = await this.extractLoudnessData();
+
+    // Spectral band energies drive the viseme choice when enabled
+    let spectralData = null;
+    if (this.lipSync === 'visemes') {
+      spectralData = await this.extractSpectralData();
+    } else if (this.lipSync !== 'loudness') {
+      throw new Error(`Unknown lip sync mode: ${this.lipSync} (use loudness or visemes)`);
+    }
+
+    // Voice activity keeps music and noise from moving the mouth
+    const voiceActivity = this.vad ? await this.detectVoiceActivity() : null;
+
+    this.resolveAutoThreshold(loudnessData);
+
+    const sequence = [];
+    const levelBands = this.computeLevelBands(loudnessData);
+    // Use actual audio duration instead of last sample time to ensure full coverage
+    const totalDuration = this.audioDuration;
+    const frameDuration = this.frameDuration;
+    const mouthStates = this.generateMouthStates(loudnessData, totalDuration, frameDuration, voiceActivity);
+
+    // The picked frame is held for holdFrames frames unless the mouth shape changes
+    let heldFrame = null;
+    let heldShape = null;
+    let heldCount = 0;
+
+    console.log('🎬 Generating audio-synchronized sequence...\n');
+    if (levelBands.length > 0) {
+      console.log(`  Mouth level bands (${this.levelMode}): ${levelBands.map(b => b.toFixed(1)).join(', ')} dB\n`);
+    }
+
+    // Level bands follow the frame set, since timeline segments can switch characters
+    const bandsBySet = new Map([[this.activeFrameSet, levelBands]]);
+
+    // Generate sequence at constant frame rate
+    for (const { time, loudness, mouthOpen: isMouthOpen, voice } of mouthStates) {
+      const frameSet = this.activateSegmentAt(time);
+      if (!bandsBySet.has(frameSet)) {
+        bandsBySet.set(frameSet, this.computeLevelBands(loudnessData));
+      }
+
+      // Select frame: if mouth open, pick random from the level's frames; otherwise use closed
+      let frame;
+      let mouthLevel = 'closed';
+      const level = isMouthOpen
+        ? this.levelFrames[this.pickMouthLevel(loudness, bandsBySet.get(frameSet))]
+        : null;
+      if (isMouthOpen) {
+        mouthLevel = level.name;
+      }
+
+      let viseme = null;
+      if (spectralData) {
+        const spectralTime = time - this.syncOffset;
+        const spectralIndex = Math.min(spectralData.length - 1, Math.max(0, Math.round(spectralTime / this.frameDuration)));
+        viseme = isMouthOpen ? this.classifyViseme(spectralData[spectralIndex]) : 'rest';
+      }
+
+      const shape = `${frameSet.key}/${mouthLevel}/${viseme}`;
+      if (shape === heldShape && heldCount < this.holdFrames) {
+        frame = heldFrame;
+        heldCount++;
+      } else {
+        frame = this.selectFrame(level, viseme);
+        heldFrame = frame;
+        heldShape = shape;
+        heldCount = 1;
+      }
+
+      sequence.push({
+        frame: frame,
+        duration: frameDuration,
+        frameName: path.basename(frame),
+        time: time,
+        loudness: loudness,
+        mouthOpen: isMouthOpen,
+        mouthLevel: mouthLevel,
+        viseme: viseme,
+        voice: voice
+      });
+    }
+
+    if (spectralData) {
+      this.markClosures(sequence, frameDuration);
+    }
+
+    this.useFrameSet(this.baseFrameSet);
+    this.applyTransitions(sequence);
+    this.applyMotion(sequence);
+
+    this.logSequenceStats(sequence);
+    return sequence;
+  }
+
+  /**
+   * Generate the sequence from imported lip-sync cues instead of loudness analysis
+   */
+  async generateCueSequence() {
+    console.log(`👄 Reading mouth cues from ${this.mouthCues}...\n`);
+
+    if (!fs.existsSync(this.audioInput)) {
+      throw new Error(`Audio file not found: ${this.audioInput}`);
+    }
+
+    const cues = this.readMouthCues(this.mouthCues);
+    this.audioDuration = this.probeDuration(this.audioInput);
+    console.log(`✓ Read ${cues.length} mouth cues`);
+    console.log(`  Duration: ${this.audioDuration.toFixed(2)}s\n`);
+
+    const sequence = [];
+    const totalDuration = this.audioDuration;
+    const frameDuration = this.frameDuration;
+
+    console.log('🎬 Generating cue-synchronized sequence...\n');
+
+    // Each cue gets one randomly picked frame, so variety comes from cue to cue
+    let cueIndex = 0;
+    let heldCue = null;
+    let heldSet = null;
+    let heldFrame = null;
+
+    for (let time = 0; time < totalDuration; time += frameDuration) {
+      // Positive sync offsets make the mouth move later
+      const cueTime = time - this.syncOffset;
+      while (cueIndex < cues.length - 1 && cues[cueIndex].end <= cueTime) {
+        cueIndex++;
+      }
+      const cue = cues[cueIndex];
+      const { viseme, openness } = cue.shape;
+      const frameSet = this.activateSegmentAt(time);
+
+      const isMouthOpen = viseme !== 'rest' && viseme !== 'MBP';
+      const level = isMouthOpen
+        ? this.levelFrames[Math.round((openness !== undefined ? openness : 0.5) * (this.levelFrames.length - 1))]
+        : null;
+
+      if (cue !== heldCue || frameSet !== heldSet) {
+        heldFrame = this.selectFrame(level, viseme);
+        heldCue = cue;
+        heldSet = frameSet;
+      }
+
+      sequence.push({
+        frame: heldFrame,
+        duration: frameDuration,
+        frameName: path.basename(heldFrame),
+        time: time,
+        loudness: null,
+        mouthOpen: isMouthOpen,
+        mouthLevel: level ? level.name : 'closed',
+        viseme: viseme,
+        cue: cue.value
+      });
+    }
+
+    this.useFrameSet(this.baseFrameSet);
+    this.applyTransitions(sequence);
+    this.applyMotion(sequence);
+
+    this.logSequenceStats(sequence);
+    return sequence;
+  }
+
+  /**
+   * Switch to the frame set of the timeline segment at a time (the base set outside segments)
+   */
+  activateSegmentAt(time) {
+    const segment = this.segmentAt(time);
+    this.useFrameSet(segment ? segment.frameSet : this.baseFrameSet);
+    return this.activeFrameSet;
+  }
+
+  /**
+   * Crossfade into timeline segments: the last frame before the boundary fades
+   * into the new segment's frames over its transition duration
+   */
+  applyTransitions(sequence) {
+    for (const segment of this.segments) {
+      if (segment.transition !== 'crossfade') {
+        continue;
+      }
+
+      const first = sequence.findIndex(item => item.time >= segment.start);
+      if (first <= 0) {
+        continue;
+      }
+
+      let last = first;
+      while (last < sequence.length && sequence[last].time < segment.start + segment.transitionDuration) {
+        last++;
+      }
+
+      const fadeFrom = sequence[first - 1].frame;
+      for (let i = first; i < last; i++) {
+        sequence[i].fadeFrom = fadeFrom;
+        sequence[i].fade = (i - first + 1) / (last - first + 1);
+      }
+    }
+  }
+
+  /**
+   * St-st-stutter: repeat the first 80-200 ms of some words. Speech onsets
+   * stutter with stutterProbability, --stutter-at times always do. Returns the
+   * sequence with the repeated frames inserted and records the stutters (in
+   * source time) so the audio, background video and timed filters follow.
+   */
+  applyStutter(sequence) {
+    this.stutters = [];
+    const manual = this.stutterAt
+      ? (Array.isArray(this.stutterAt) ? this.stutterAt : String(this.stutterAt).split(','))
+        .map(value => this.parseTimestamp(typeof value === 'string' ? value.trim() : value, 'stutter time'))
+      : [];
+    if (!this.stutterProbability && manual.length === 0) {
+      return sequence;
+    }
+    if (!(this.stutterProbability >= 0 && this.stutterProbability <= 1)) {
+      throw new Error(`Stutter probability must be between 0 and 1, got ${this.stutterProbability}`);
+    }
+    if (!(Number.isInteger(this.stutterRepeats) && this.stutterRepeats >= 1)) {
+      throw new Error(`Stutter repeats must be a whole number from 1, got ${this.stutterRepeats}`);
+    }
+
+    const starts = [];
+    let time = 0;
+    for (const item of sequence) {
+      starts.push(time);
+      time += item.duration;
+    }
+
+    const stuttered = [];
+    const skipped = manual.filter(at => at < 0 || at >= time);
+    let nextFree = 0;
+    for (let i = 0; i < sequence.length; i++) {
+      const item = sequence[i];
+      const isOnset = item.mouthOpen && (i === 0 || !sequence[i - 1].mouthOpen);
+      const manualHere = manual.filter(at => at >= starts[i] && at < starts[i] + item.duration);
+
+      if (i >= nextFree && (manualHere.length > 0 || (isOnset && this.random() < this.stutterProbability))) {
+        // Whole frames of the 80-200 ms word start, played 1 + repeats times
+        const length = 0.08 + this.random() * 0.12;
+        let end = i + 1;
+        while (end < sequence.length && starts[end] < starts[i] + length) {
+          end++;
+        }
+        // Manual times take priority: a random stutter never swallows one
+        const sliceEnd = end < sequence.length ? starts[end] : time;
+        if (manualHere.length === 0 && manual.some(at => at > starts[i] && at < sliceEnd)) {
+          stuttered.push(item);
+          continue;
+        }
+        const slice = sequence.slice(i, end);
+        this.stutters.push({ start: starts[i], end: sliceEnd, repeats: this.stutterRepeats });
+        skipped.push(...manual.filter(at => at >= starts[i] + item.duration && at < sliceEnd));
+
+        stuttered.push(...slice);
+        for (let repeat = 0; repeat < this.stutterRepeats; repeat++) {
+          stuttered.push(...slice.map(frame => ({ ...frame, stutter: true })));
+        }
+        nextFree = end;
+        i = end - 1;
+        continue;
+      }
+      stuttered.push(item);
+    }
+
+    for (const at of skipped.sort((a, b) => a - b)) {
+      console.log(`⚠️  Stutter time ${at.toFixed(2)}s skipped: it lies inside the previous stutter or outside the audio`);
+    }
+    if (this.stutters.length > 0) {
+      const added = this.stutters.reduce((sum, s) => sum + (s.end - s.start) * s.repeats, 0);
+      console.log(`🔁 St-st-stutter: ${this.stutters.length} word starts repeated ${this.stutterRepeats}x (+${added.toFixed(2)}s)\n`);
+    }
+    return stuttered;
+  }
+
+  /**
+   * Where a source time lands in the stuttered output: later by every repeat before it
+   */
+  stutterTime(time) {
+    let shift = 0;
+    for (const stutter of this.stutters) {
+      if (stutter.end <= time) {
+        shift += (stutter.end - stutter.start) * stutter.repeats;
+      }
+    }
+    return time + shift;
+  }
+
+  /**
+   * Cut a stream into the pieces of the stuttered output with atrim (or trim
+   * for video) and join them with concat: everything up to the end of a
+   * stutter, the stutter's repeats, and so on. Labels start with `prefix` so the
+   * filter can appear more than once in a graph. Returns null without stutters.
+   */
+  buildStutterFilter(kind, prefix) {
+    if (this.stutters.length === 0) {
+      return null;
+    }
+
+    const pieces = [];
+    let cursor = 0;
+    for (const stutter of this.stutters) {
+      pieces.push([cursor, stutter.end]);
+      for (let repeat = 0; repeat < stutter.repeats; repeat++) {
+        pieces.push([stutter.start, stutter.end]);
+      }
+      cursor = stutter.end;
+    }
+    pieces.push([cursor, Infinity]);
+
+    const isAudio = kind === 'a';
+    const trim = isAudio ? 'atrim' : 'trim';
+    const setpts = isAudio ? 'asetpts' : 'setpts';
+    const filters = [`${isAudio ? 'asplit' : 'split'}=${pieces.length}${pieces.map((_, i) => `[${prefix}_in${i}]`).join('')}`];
+    pieces.forEach(([start, end], i) => {
+      const range = end === Infinity ? `start=${start.toFixed(6)}` : `start=${start.toFixed(6)}:end=${end.toFixed(6)}`;
+      filters.push(`[${prefix}_in${i}]${trim}=${range},${setpts}=PTS-STARTPTS[${prefix}_out${i}]`);
+    });
+    filters.push(`${pieces.map((_, i) => `[${prefix}_out${i}]`).join('')}concat=n=${pieces.length}:v=${isAudio ? 0 : 1}:a=${isAudio ? 1 : 0}`);
+    return filters.join(',');
+  }
+
+  /**
+   * Write the sequence as JSON, one frame per line so it is easy to edit and diff.
+   * Frame paths are stored relative to the sequence file.
+   */
+  writeSequence(sequence, sequenceFile) {
+    const baseDir = path.dirname(path.resolve(sequenceFile));
+    const round = (value, digits) => typeof value === 'number' ? Number(value.toFixed(digits)) : value;
+    const relative = (frame) => frame && path.relative(baseDir, path.resolve(frame));
+
+    const lines = sequence.map(item => '    ' + JSON.stringify({
+      time: round(item.time, 4),
+      duration: round(item.duration, 6),
+      frame: relative(item.frame),
+      mouthOpen: item.mouthOpen,
+      mouthLevel: item.mouthLevel,
+      viseme: item.viseme,
+      loudness: round(item.loudness, 2),
+      voice: item.voice,
+      cue: item.cue,
+      rotation: round(item.rotation, 3),
+      offsetX: round(item.offsetX, 2),
+      offsetY: round(item.offsetY, 2),
+      zoom: round(item.zoom, 4),
+      fadeFrom: relative(item.fadeFrom),
+      fade: round(item.fade, 3)
+    }));
+
+    const content = `{\n  "version": 1,\n  "fps": ${this.fps},\n  "seed": ${this.seed},\n  "frames": [\n${lines.join(',\n')}\n  ]\n}\n`;
+    fs.writeFileSync(sequenceFile, content);
+    console.log(`💾 Sequence written to ${sequenceFile} (${sequence.length} frames)\n`);
+  }
+
+  /**
+   * Read a sequence written by writeSequence (possibly hand-edited), validating
+   * every frame and checking that the referenced images exist
+   */
+  readSequence(sequenceFile) {
+    console.log(`📂 Reading sequence from ${sequenceFile}...\n`);
+
+    if (!fs.existsSync(sequenceFile)) {
+      throw new Error(`Sequence file not found: ${sequenceFile}`);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(sequenceFile, 'utf-8'));
+    } catch (e) {
+      throw new Error(`Invalid sequence JSON in ${sequenceFile}: ${e.message}`);
+    }
+
+    if (!data || data.version !== 1) {
+      throw new Error(`Unsupported sequence version in ${sequenceFile}: ${data && data.version} (expected 1)`);
+    }
+    if (!Array.isArray(data.frames) || data.frames.length === 0) {
+      throw new Error(`Invalid sequence file ${sequenceFile}: "frames" must be a non-empty array`);
+    }
+    if (data.fps !== undefined) {
+      this.setFrameRate(data.fps);
+    }
+
+    const baseDir = path.dirname(path.resolve(sequenceFile));
+    const missing = new Set();
+    const resolveFrame = (frame) => {
+      const resolved = path.resolve(baseDir, frame);
+      if (!fs.existsSync(resolved)) {
+        missing.add(frame);
+      }
+      return resolved;
+    };
+
+    const sequence = data.frames.map((entry, i) => {
+      const problem = this.validateSequenceEntry(entry, data.frames[i - 1]);
+      if (problem) {
+        throw new Error(`Invalid sequence file ${sequenceFile}: frames[${i}] ${problem}`);
+      }
+
+      const frame = resolveFrame(entry.frame);
+      return {
+        ...entry,
+        frame: frame,
+        frameName: path.basename(frame),
+        mouthLevel: entry.mouthLevel || (entry.mouthOpen ? 'open' : 'closed'),
+        rotation: entry.rotation || 0,
+        offsetX: entry.offsetX || 0,
+        offsetY: entry.offsetY || 0,
+        zoom: entry.zoom || 1,
+        fadeFrom: entry.fadeFrom !== undefined ? resolveFrame(entry.fadeFrom) : undefined
+      };
+    });
+
+    if (missing.size > 0) {
+      const list = [...missing];
+      const more = list.length > 10 ? ` and ${list.length - 10} more` : '';
+      throw new Error(`Sequence ${sequenceFile} references missing frames: ${list.slice(0, 10).join(', ')}${more}`);
+    }
+
+    console.log(`✓ Read ${sequence.length} frames at ${this.frameRateArg()} fps\n`);
+    this.logSequenceStats(sequence);
+    return sequence;
+  }
+
+  /**
+   * Export the mouth timing to editing timelines instead of rendering: each clip
+   * references a source frame file, with runs of the same frame merged into one clip
+   */
+  async exportTimelines(exportFiles) {
+    console.log('📤 CARICATURE TIMELINE EXPORT');
+    console.log('='.repeat(60) + '\n');
+    this.logSeed();
+
+    for (const file of exportFiles) {
+      if (!EXPORT_FORMATS[path.extname(file).toLowerCase()]) {
+        throw new Error(`Unsupported export format: ${file} (use ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+      }
+    }
+
+    // Timelines carry the audio file as one clip, so repeated word starts could not line up with it
+    if (this.stutterProbability || this.stutterAt) {
+      throw new Error('--stutter and --stutter-at cannot be exported: the timeline audio is the unedited audio file');
+    }
+
+    this.loadTimeline();
+    this.findFrames();
+    this.logFrames();
+
+    const sequence = await this.generateAudioSequence();
+    if (this.sequenceOut) {
+      this.writeSequence(sequence, this.sequenceOut);
+    }
+
+    const clips = this.mergeClips(sequence);
+    console.log(`🎞️  ${sequence.length} frames merged into ${clips.length} clips`);
+    if (this.hasMotion(sequence) || sequence.some(item => item.fadeFrom)) {
+      console.log('  Head motion and crossfades are not exported, only which frame shows when');
+    }
+    console.log('');
+
+    for (const file of exportFiles) {
+      const format = EXPORT_FORMATS[path.extname(file).toLowerCase()];
+      const name = path.basename(file, path.extname(file));
+      fs.writeFileSync(file, this[format.method](clips, name));
+      console.log(`✓ ${format.name}: ${file}`);
+    }
+  }
+
+  /**
+   * Merge runs of the same frame into clips, timed in whole frames
+   */
+  mergeClips(sequence) {
+    const clips = [];
+    let start = 0;
+
+    for (const item of sequence) {
+      const duration = Math.max(1, Math.round(item.duration * this.fps));
+      const previous = clips[clips.length - 1];
+      if (previous && previous.frame === item.frame) {
+        previous.duration += duration;
+      } else {
+        clips.push({ frame: item.frame, start: start, duration: duration });
+      }
+      start += duration;
+    }
+
+    return clips;
+  }
+
+  /**
+   * Frame rate as an exact fraction (25 → 25/1, 29.97 → 30000/1001, 12.5 → 25/2)
+   */
+  frameRateFraction() {
+    const [num, den] = this.frameRateArg().split('/').map(Number);
+    if (den) {
+      return { num, den };
+    }
+
+    let scale = 1;
+    while (!Number.isInteger(num * scale) && scale < 1000000) {
+      scale *= 10;
+    }
+    const gcd = (a, b) => b === 0 ? a : gcd(b, a % b);
+    const divisor = gcd(Math.round(num * scale), scale);
+    return { num: Math.round(num * scale) / divisor, den: scale / divisor };
+  }
+
+  /**
+   * OpenTimelineIO timeline: a video track of frame clips and the audio on its own track
+   */
+  buildOtio(clips, name) {
+    const total = clips.reduce((sum, clip) => sum + clip.duration, 0);
+    const time = (value) => ({ OTIO_SCHEMA: 'RationalTime.1', rate: this.fps, value: value });
+    const clip = (file, duration) => ({
+      OTIO_SCHEMA: 'Clip.1',
+      name: path.basename(file),
+      metadata: {},
+      effects: [],
+      markers: [],
+      source_range: { OTIO_SCHEMA: 'TimeRange.1', start_time: time(0), duration: time(duration) },
+      media_reference: {
+        OTIO_SCHEMA: 'ExternalReference.1',
+        name: path.basename(file),
+        metadata: {},
+        available_range: null,
+        target_url: pathToFileURL(path.resolve(file)).href
+      }
+    });
+    const track = (trackName, kind, children) => ({
+      OTIO_SCHEMA: 'Track.1',
+      name: trackName,
+      kind: kind,
+      metadata: {},
+      effects: [],
+      markers: [],
+      source_range: null,
+      children: children
+    });
+
+    const tracks = [track('Mouth', 'Video', clips.map(item => clip(item.frame, item.duration)))];
+    if (this.audioInput) {
+      tracks.push(track('Audio', 'Audio', [clip(this.audioInput, total)]));
+    }
+
+    return JSON.stringify({
+      OTIO_SCHEMA: 'Timeline.1',
+      name: name,
+      metadata: {},
+      global_start_time: time(0),
+      tracks: {
+        OTIO_SCHEMA: 'Stack.1',
+        name: 'tracks',
+        metadata: {},
+        effects: [],
+        markers: [],
+        source_range: null,
+        children: tracks
+      }
+    }, null, 2) + '\n';
+  }
+
+  /**
+   * Final Cut Pro XML project: frame stills on the spine, the audio connected below
+   */
+  buildFcpxml(clips, name) {
+    const { num, den } = this.frameRateFraction();
+    const time = (frames) => frames === 0 ? '0s' : `${frames * den}/${num}s`;
+    const escape = (text) => String(text)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const url = (file) => escape(pathToFileURL(path.resolve(file)).href);
+    const total = clips.reduce((sum, clip) => sum + clip.duration, 0);
+
+    const assetIds = new Map();
+    for (const clip of clips) {
+      if (!assetIds.has(clip.frame)) {
+        assetIds.set(clip.frame, `r${assetIds.size + 3}`);
+      }
+    }
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!DOCTYPE fcpxml>',
+      '<fcpxml version="1.9">',
+      '  <resources>',
+      `    <format id="r1" frameDuration="${time(1)}" width="${this.size}" height="${this.size}"/>`
+    ];
+    if (this.audioInput) {
+      lines.push(`    <asset id="r2" name="${escape(path.basename(this.audioInput))}" src="${url(this.audioInput)}" start="0s" duration="${time(total)}" hasAudio="1"/>`);
+    }
+    for (const [frame, id] of assetIds) {
+      lines.push(`    <asset id="${id}" name="${escape(path.basename(frame))}" src="${url(frame)}" start="0s" duration="0s" hasVideo="1" format="r1"/>`);
+    }
+    lines.push(
+      '  </resources>',
+      '  <library>',
+      `    <event name="${escape(name)}">`,
+      `      <project name="${escape(name)}">`,
+      `        <sequence format="r1" duration="${time(total)}" tcStart="0s" tcFormat="NDF">`,
+      '          <spine>'
+    );
+
+    clips.forEach((clip, i) => {
+      const attributes = `ref="${assetIds.get(clip.frame)}" name="${escape(path.basename(clip.frame))}" offset="${time(clip.start)}" start="0s" duration="${time(clip.duration)}"`;
+      if (i === 0 && this.audioInput) {
+        lines.push(`            <video ${attributes}>`);
+        lines.push(`              <asset-clip ref="r2" name="${escape(path.basename(this.audioInput))}" lane="-1" offset="0s" duration="${time(total)}"/>`);
+        lines.push('            </video>');
+      } else {
+        lines.push(`            <video ${attributes}/>`);
+      }
+    });
+
+    lines.push(
+      '          </spine>',
+      '        </sequence>',
+      '      </project>',
+      '    </event>',
+      '  </library>',
+      '</fcpxml>'
+    );
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * CMX3600 EDL: one video event per clip, source file named in comments
+   * (timecode counts whole frames, non-drop, at the rounded frame rate)
+   */
+  buildEdl(clips, name) {
+    const base = Math.round(this.fps);
+    const timecode = (frames) => {
+      const seconds = Math.floor(frames / base);
+      return [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60, frames % base]
+        .map(value => String(value).padStart(2, '0'))
+        .join(':');
+    };
+
+    const lines = [`TITLE: ${name}`, 'FCM: NON-DROP FRAME', ''];
+    clips.forEach((clip, i) => {
+      const event = String(i + 1).padStart(3, '0');
+      lines.push(`${event}  AX       V     C        ${timecode(0)} ${timecode(clip.duration)} ${timecode(clip.start)} ${timecode(clip.start + clip.duration)}`);
+      lines.push(`* FROM CLIP NAME: ${path.basename(clip.frame)}`);
+      lines.push(`* SOURCE FILE: ${path.resolve(clip.frame)}`);
+      lines.push('');
+    });
+    return lines.join('\n');
+  }
+
+  /**
+   * What is wrong with one sequence entry (null when it is valid)
+   */
+  validateSequenceEntry(entry, previous) {
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+    if (!entry || typeof entry !== 'object') {
+      return 'must be an object';
+    }
+    if (!isNumber(entry.time) || entry.time < 0) {
+      return '"time" must be a number >= 0';
+    }
+    if (previous && entry.time <= previous.time) {
+      return '"time" must be later than the previous frame';
+    }
+    if (!isNumber(entry.duration) || entry.duration <= 0) {
+      return '"duration" must be a number > 0';
+    }
+    if (typeof entry.frame !== 'string' || entry.frame.length === 0) {
+      return '"frame" must be a file path';
+    }
+    if (typeof entry.mouthOpen !== 'boolean') {
+      return '"mouthOpen" must be true or false';
+    }
+    for (const key of ['rotation', 'offsetX', 'offsetY']) {
+      if (entry[key] !== undefined && !isNumber(entry[key])) {
+        return `"${key}" must be a number`;
+      }
+    }
+    if (entry.zoom !== undefined && !(isNumber(entry.zoom) && entry.zoom > 0)) {
+      return '"zoom" must be a number > 0';
+    }
+    if (entry.fadeFrom !== undefined) {
+      if (typeof entry.fadeFrom !== 'string') {
+        return '"fadeFrom" must be a file path';
+      }
+      if (!(isNumber(entry.fade) && entry.fade >= 0 && entry.fade <= 1)) {
+        return '"fade" must be a number from 0 to 1';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Print open/closed, level and viseme distribution of a sequence
+   */
+  logSequenceStats(sequence) {
+    console.log(`✓ Generated ${sequence.length} frames`);
+    const openCount = sequence.filter(s => s.mouthOpen).length;
+    const closedCount = sequence.length - openCount;
+    console.log(`  Open frames: ${openCount} (${(openCount/sequence.length*100).toFixed(1)}%)`);
+    console.log(`  Closed frames: ${closedCount} (${(closedCount/sequence.length*100).toFixed(1)}%)`);
+    if (this.levelFrames.length > 1) {
+      for (const level of this.levelFrames) {
+        const levelCount = sequence.filter(s => s.mouthLevel === level.name).length;
+        console.log(`    ${level.name}: ${levelCount} (${(levelCount/sequence.length*100).toFixed(1)}%)`);
+      }
+    }
+    if (sequence.some(s => s.viseme)) {
+      for (const viseme of Object.keys(VISEMES)) {
+        const visemeCount = sequence.filter(s => s.viseme === viseme).length;
+        const fallback = this.visemeFrames[viseme] ? '' : ' (fallback frames)';
+        console.log(`    viseme ${viseme}: ${visemeCount} (${(visemeCount/sequence.length*100).toFixed(1)}%)${fallback}`);
+      }
+    }
+    console.log('');
+  }
+
+  /**
+   * Check the background key settings before any frame is processed
+   */
+  validateKey() {
+    if (!this.key) {
+      return;
+    }
+
+    if (!KEY_MODES.includes(this.keyMode)) {
+      throw new Error(`Unknown key mode: ${this.keyMode} (use ${KEY_MODES.join(', ')})`);
+    }
+    if (!(this.keySimilarity > 0 && this.keySimilarity <= 1)) {
+      throw new Error(`Key similarity must be between 0 and 1, got ${this.keySimilarity}`);
+    }
+
+    if (this.keyMode === 'floodfill') {
+      try {
+        execSync('magick -version', { stdio: 'ignore' });
+      } catch (e) {
+        throw new Error('Flood fill background removal needs ImageMagick 7 (the magick command); use --key-mode colorkey to stay with ffmpeg');
+      }
+    }
+  }
+
+  /**
+   * ffmpeg filters keying out the background color, with a blurred alpha edge
+   */
+  buildKeyFilter() {
+    if (!this.key || this.keyMode !== 'colorkey') {
+      return [];
+    }
+
+    const color = this.key.replace(/^#/, '0x');
+    const filters = ['format=rgba', `colorkey=color=${color}:similarity=${this.keySimilarity}:blend=0`];
+    if (this.keyFeather > 0) {
+      filters.push(`split[keyed][alpha];[alpha]alphaextract,boxblur=luma_radius=${this.keyFeather}:luma_power=1[mask];[keyed][mask]alphamerge`);
+    }
+    return filters;
+  }
+
+  /**
+   * Remove the background connected to the image edges with ImageMagick's flood
+   * fill, so background-colored areas inside the character (eyes, teeth) survive
+   */
+  floodFillBackground(inputFrame, index) {
+    const outputFrame = `/tmp/caricature-key-${index}.png`;
+    const color = this.key.replace(/^0x/i, '#');
+
+    // A 1px border in the key color connects all edges, so one fill from the corner reaches them all
+    const feather = this.keyFeather > 0 ? `-channel A -blur 0x${this.keyFeather} +channel` : '';
+    try {
+      execSync(
+        `magick "${inputFrame}" -alpha set -bordercolor "${color}" -border 1 ` +
+        `-fuzz ${(this.keySimilarity * 100).toFixed(1)}% -fill none -draw "alpha 0,0 floodfill" ` +
+        `-shave 1x1 ${feather} "${outputFrame}"`,
+        { stdio: 'pipe' }
+      );
+    } catch (e) {
+      throw new Error(`ImageMagick failed to remove the background of ${path.basename(inputFrame)}: ${e.stderr ? e.stderr.toString().trim() : e.message}`);
+    }
+    return outputFrame;
+  }
+
+  /**
+   * Create a resized, center-cropped square frame with ffmpeg (background
+   * removed first when --key is set; transparency of the source is kept)
+   */
+  async createResizedFrame(inputFrame, index) {
+    const outputFrame = `/tmp/caricature-${index}.png`;
+    const source = this.key && this.keyMode === 'floodfill' ? this.floodFillBackground(inputFrame, index) : inputFrame;
+    const filters = [
+      ...this.buildKeyFilter(),
+      `scale=${this.size}:${this.size}:force_original_aspect_ratio=increase`,
+      `crop=${this.size}:${this.size}`,
+      'format=rgba'
+    ];
+
+    const args = [
+      '-v', 'error',
+      '-i', source,
+      '-vf', filters.join(','),
+      '-frames:v', '1',
+      '-y',
+      outputFrame
+    ];
+
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn('ffmpeg', args);
+
+      let stderr = '';
+
+      ffmpeg.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      ffmpeg.on('close', (code) => {
+        // The flood-filled intermediate has been read by now
+        if (source !== inputFrame) {
+          try {
+            fs.unlinkSync(source);
+          } catch (e) {}
+        }
+
+        if (code === 0) {
           // Verify the file was actually created
           if (!fs.existsSync(outputFrame)) {
             reject(new Error(`Frame ${index} was not created at ${outputFrame}`));
@@ -328,140 +2556,959 @@ class Caricature {
             resolve(outputFrame);
           }
         } else {
-          reject(new Error(`ImageMagick failed for frame ${index}: ${stderr}`));
+          reject(new Error(`ffmpeg failed to resize frame ${index}: ${stderr}`));
+        }
+      });
+
+      ffmpeg.on('error', (err) => {
+        reject(new Error(`ffmpeg spawn error for frame ${index}: ${err.message}`));
+      });
+    });
+  }
+
+  /**
+   * Blend two resized frames: mix 0 shows only the first, 1 only the second
+   */
+  async createBlendedFrame(fromFrame, toFrame, mix, index) {
+    const outputFrame = `/tmp/caricature-blend-${index}.png`;
+
+    const args = [
+      '-v', 'error',
+      '-i', fromFrame,
+      '-i', toFrame,
+      '-filter_complex', `[0:v]format=rgba[from];[1:v]format=rgba[to];[from][to]blend=all_expr='A*${(1 - mix).toFixed(3)}+B*${mix.toFixed(3)}'`,
+      '-frames:v', '1',
+      '-y',
+      outputFrame
+    ];
+
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn('ffmpeg', args);
+
+      let stderr = '';
+
+      ffmpeg.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      ffmpeg.on('close', (code) => {
+        if (code === 0) {
+          resolve(outputFrame);
+        } else {
+          reject(new Error(`ffmpeg failed to blend crossfade frame ${index}: ${stderr}`));
+        }
+      });
+
+      ffmpeg.on('error', (err) => {
+        reject(new Error(`ffmpeg spawn error for crossfade frame ${index}: ${err.message}`));
+      });
+    });
+  }
+
+  /**
+   * Resize every unique source frame once and map the sequence onto them.
+   * Head motion happens later inside the ffmpeg encode (see buildMotionFilter)
+   */
+  async prepareFrames(sequence) {
+    console.log('🎨 Preparing frames...\n');
+    console.log('  Optimizing: caching resized frames to avoid duplicates\n');
+
+    this.validateKey();
+    if (this.key) {
+      console.log(`  Keying out ${this.key} (${this.keyMode}, similarity ${this.keySimilarity}, feather ${this.keyFeather}px) once per unique frame\n`);
+    }
+
+    const frameCache = new Map();
+    const preparedFrames = [];
+
+    // First pass: identify unique frames and create them
+    const uniqueFrames = new Set();
+    for (const item of sequence) {
+      uniqueFrames.add(item.frame);
+      if (item.fadeFrom) {
+        uniqueFrames.add(item.fadeFrom);
+      }
+    }
+
+    console.log(`  Creating ${uniqueFrames.size} unique frames from ${sequence.length} total frames...\n`);
+
+    let cacheIndex = 0;
+    for (const uniqueFrame of uniqueFrames) {
+      const frameName = path.basename(uniqueFrame);
+      const outputFrame = await this.createResizedFrame(uniqueFrame, cacheIndex);
+      frameCache.set(uniqueFrame, outputFrame);
+
+      console.log(`  [${cacheIndex + 1}/${uniqueFrames.size}] Created ${frameName} ✓`);
+      cacheIndex++;
+    }
+
+    // Crossfades into timeline segments blend two resized frames
+    const blendCache = new Map();
+    const blendKey = (item) => `${item.fadeFrom}|${item.frame}|${item.fade.toFixed(2)}`;
+    const blends = sequence.filter(item => item.fadeFrom);
+    if (blends.length > 0) {
+      console.log(`\n  Blending ${blends.length} crossfade frames...`);
+      for (const item of blends) {
+        const key = blendKey(item);
+        if (!blendCache.has(key)) {
+          const blendedFrame = await this.createBlendedFrame(
+            frameCache.get(item.fadeFrom), frameCache.get(item.frame), item.fade, blendCache.size
+          );
+          blendCache.set(key, blendedFrame);
         }
+      }
+      console.log(`  ✓ ${blendCache.size} blended images`);
+    }
+
+    console.log('\n  Building sequence with cached frames...\n');
+
+    // Second pass: build sequence using cached frames
+    for (let i = 0; i < sequence.length; i++) {
+      const item = sequence[i];
+      const cachedFrame = item.fadeFrom ? blendCache.get(blendKey(item)) : frameCache.get(item.frame);
+
+      preparedFrames.push({
+        ...item,
+        preparedFrame: cachedFrame
       });
 
-      convert.on('error', (err) => {
-        reject(new Error(`ImageMagick spawn error for frame ${index}: ${err.message}`));
-      });
-    });
+      if ((i + 1) % 1000 === 0) {
+        process.stdout.write(`  Processed ${i + 1}/${sequence.length} frames...\r`);
+      }
+    }
+
+    console.log(`  ✓ Completed ${sequence.length} frames using ${uniqueFrames.size} cached images\n`);
+    return preparedFrames;
+  }
+
+  /**
+   * Write an ffmpeg sendcmd file with the head pose of every frame. The head
+   * sits in a transparent canvas twice its size; rotation turns the canvas,
+   * and the crop window (then scaled back to size) gives offset and zoom.
+   */
+  createMotionCommands(preparedFrames) {
+    const commandPath = '/tmp/caricature-motion.txt';
+    const size = this.size;
+    let content = '';
+    let start = 0;
+
+    for (const item of preparedFrames) {
+      const end = start + item.duration;
+      const radians = item.rotation * Math.PI / 180;
+      const zoom = Math.min(4, Math.max(0.5, item.zoom));
+      const window = Math.round(size / zoom);
+      const x = Math.min(2 * size - window, Math.max(0, Math.round(size - window / 2 - item.offsetX / zoom)));
+      const y = Math.min(2 * size - window, Math.max(0, Math.round(size - window / 2 - item.offsetY / zoom)));
+
+      content += `${start.toFixed(3)}-${end.toFixed(3)} [enter] rotate@head angle ${radians.toFixed(5)}, ` +
+        `crop@motion w ${window}, crop@motion h ${window}, crop@motion x ${x}, crop@motion y ${y};\n`;
+      start = end;
+    }
+
+    fs.writeFileSync(commandPath, content);
+    return commandPath;
+  }
+
+  /**
+   * Build the per-frame head motion filter. Returns null when the head does not move.
+   */
+  buildMotionFilter(commandFile) {
+    if (!commandFile) {
+      return null;
+    }
+
+    const size = this.size;
+    const filters = [
+      'format=rgba',
+      `pad=w=${2 * size}:h=${2 * size}:x=${Math.floor(size / 2)}:y=${Math.floor(size / 2)}:color=black@0`,
+      `sendcmd=f=${commandFile}`,
+      'rotate@head=a=0:c=none',
+      `crop@motion=w=${size}:h=${size}:x=${Math.floor(size / 2)}:y=${Math.floor(size / 2)}`,
+      `scale=${size}:${size}`
+    ];
+
+    filters.push('format=yuva420p');
+    return filters.join(',');
+  }
+
+  /**
+   * Create ffmpeg concat file
+   */
+  createConcatFile(preparedFrames) {
+    const concatPath = '/tmp/caricature-concat.txt';
+    let content = '';
+
+    for (const item of preparedFrames) {
+      content += `file '${item.preparedFrame}'\n`;
+      content += `duration ${item.duration.toFixed(6)}\n`;
+    }
+
+    // Add last frame again (ffmpeg concat quirk)
+    const lastFrame = preparedFrames[preparedFrames.length - 1];
+    content += `file '${lastFrame.preparedFrame}'\n`;
+
+    fs.writeFileSync(concatPath, content);
+    return concatPath;
+  }
+
+  /**
+   * Build the glitch effect chain. Every effect of the chains in play (the
+   * run-wide one, timeline segment levels, glitch transitions) is added once,
+   * enabled only while a chain containing it is active; @peaks effects run
+   * during loudness bursts instead.
+   */
+  buildGlitchFilter() {
+    const chains = [this.effectChain()];
+    for (const segment of this.segments) {
+      if (segment.glitch !== undefined) {
+        chains.push(this.effectChain(segment.glitch));
+      }
+      if (segment.transition === 'glitch') {
+        chains.push(this.effectChain(3));
+      }
+    }
+
+    const effects = [];
+    for (const effect of chains.flat()) {
+      if (!effects.some(known => known.key === effect.key)) {
+        effects.push(effect);
+      }
+    }
+
+    const filters = ['format=yuva420p'];
+    effects.forEach((effect, i) => {
+      const enable = effect.peaks ? this.rangesEnable(this.bursts) : this.effectEnable(effect.key);
+      if (enable === null) {
+        return;
+      }
+
+      const { method, timeline } = GLITCH_EFFECTS[effect.name];
+      const filter = this[method](effect.amount);
+      if (!enable || timeline) {
+        filters.push(this.withEnable(filter, enable));
+      } else {
+        // Filters without timeline support run on a copy that is overlaid only while enabled
+        filters.push(`split[fx_base${i}][fx_in${i}]`);
+        filters.push(`[fx_in${i}]${filter}[fx_out${i}]`);
+        filters.push(this.withEnable(`[fx_base${i}][fx_out${i}]overlay=format=auto`, enable));
+      }
+    });
+
+    if (filters.length > 1) {
+      filters.push('format=yuva420p');
+    }
+    return filters.join(',');
+  }
+
+  /**
+   * Parse effect specs like "scanlines,rgbsplit:4,tear:12@peaks" (or an array of them)
+   */
+  parseEffects(specs) {
+    const list = Array.isArray(specs) ? specs : String(specs).split(',');
+    return list.map(spec => spec.trim()).filter(spec => spec.length > 0).map(spec => {
+      const match = spec.match(/^([a-z]+)(?::([\d.]+))?(@peaks)?$/);
+      if (!match || !GLITCH_EFFECTS[match[1]]) {
+        throw new Error(`Unknown effect: ${spec} (use ${Object.keys(GLITCH_EFFECTS).join(', ')}, optionally with :amount and @peaks)`);
+      }
+      const [, name, amountText, peaks] = match;
+      const amount = amountText !== undefined ? parseFloat(amountText) : GLITCH_EFFECTS[name].amount;
+      if (!(amount > 0)) {
+        throw new Error(`Effect amount must be positive: ${spec}`);
+      }
+      return { name, amount, peaks: Boolean(peaks), key: `${name}:${amount}${peaks || ''}` };
+    });
+  }
+
+  /**
+   * Effects of a glitch level: its preset, or --effects for the run-wide level
+   */
+  effectChain(level) {
+    if (level === undefined && this.effects) {
+      return this.parseEffects(this.effects);
+    }
+    const preset = GLITCH_PRESETS[level === undefined ? this.glitchLevel : level];
+    if (!preset) {
+      throw new Error(`Glitch level must be 0-3, got ${level === undefined ? this.glitchLevel : level}`);
+    }
+    return this.parseEffects(preset);
+  }
+
+  /**
+   * Loudness bursts for @peaks effects: stretches where the audio is at least
+   * the burst threshold (default: its loudest tenth), each held burstLength
+   */
+  detectBursts(sequence) {
+    this.bursts = [];
+    if (!this.effects || !this.parseEffects(this.effects).some(effect => effect.peaks)) {
+      return;
+    }
+
+    const levels = sequence.map(item => item.loudness).filter(Number.isFinite);
+    if (levels.length === 0) {
+      console.log('⚠️  No loudness data for @peaks effects (cue or sequence input), they stay off\n');
+      return;
+    }
+
+    if (!(this.burstLength >= 0)) {
+      throw new Error(`Burst length must be 0 seconds or more, got ${this.burstLength}`);
+    }
+    let threshold = this.burstThreshold === 'auto' ? 'auto' : Number(this.burstThreshold);
+    if (threshold !== 'auto' && !Number.isFinite(threshold)) {
+      throw new Error(`Burst threshold must be a dB value or auto, got ${this.burstThreshold}`);
+    }
+    if (threshold === 'auto') {
+      const sorted = [...levels].sort((a, b) => a - b);
+      threshold = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.9))];
+    }
+
+    let time = 0;
+    for (const item of sequence) {
+      if (item.loudness >= threshold) {
+        this.bursts.push([time, time + Math.max(item.duration, this.burstLength)]);
+      }
+      time += item.duration;
+    }
+    console.log(`⚡ Glitch bursts: ${this.bursts.length} frames at ${threshold.toFixed(1)} dB or louder\n`);
+  }
+
+  /**
+   * When an effect runs: '' for the whole video, null for never, or an ffmpeg
+   * enable option covering the timeline segments whose chain contains it
+   * (glitch transitions add a full-strength burst when a segment starts)
+   */
+  effectEnable(key) {
+    const inChain = (level) => this.effectChain(level).some(effect => effect.key === key);
+    if (this.segments.length === 0) {
+      return inChain() ? '' : null;
+    }
+
+    // Gaps between segments run the run-wide chain
+    const ranges = [];
+    let cursor = 0;
+    for (const segment of this.segments) {
+      if (segment.start > cursor && inChain()) {
+        ranges.push([cursor, segment.start]);
+      }
+      if (inChain(segment.glitch)) {
+        ranges.push([segment.start, segment.end]);
+      } else if (segment.transition === 'glitch' && inChain(3)) {
+        ranges.push([segment.start, Math.min(segment.end, segment.start + segment.transitionDuration)]);
+      }
+      cursor = segment.end;
+    }
+    if (cursor < Infinity && inChain()) {
+      ranges.push([cursor, Infinity]);
+    }
+    return this.rangesEnable(ranges.map(([start, end]) => [this.stutterTime(start), this.stutterTime(end)]));
+  }
+
+  /**
+   * Enable option for [start, end] time ranges: null when empty, '' when they cover everything
+   */
+  rangesEnable(ranges) {
+    if (ranges.length === 0) {
+      return null;
+    }
+
+    // Join touching ranges; one covering everything needs no enable option
+    const merged = [];
+    for (const range of [...ranges].sort((a, b) => a[0] - b[0])) {
+      const previous = merged[merged.length - 1];
+      if (previous && range[0] <= previous[1]) {
+        previous[1] = Math.max(previous[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+    }
+    if (merged.length === 1 && merged[0][0] === 0 && merged[0][1] === Infinity) {
+      return '';
+    }
+    return `enable='${this.timeRangeExpression(merged)}'`;
+  }
+
+  /**
+   * ffmpeg expression that is 1 inside any of the [start, end] ranges (end may be Infinity)
+   */
+  timeRangeExpression(ranges) {
+    return ranges
+      .map(([start, end]) => end === Infinity
+        ? `gte(t,${start.toFixed(3)})`
+        : `between(t,${start.toFixed(3)},${end.toFixed(3)})`)
+      .join('+');
+  }
+
+  /**
+   * scanlines: every amount-th line at half brightness
+   */
+  scanlinesEffect(amount) {
+    const every = Math.max(2, Math.round(amount));
+    return `geq=lum='if(mod(Y,${every}),lum(X,Y),lum(X,Y)/2)':cb='cb(X,Y)':cr='cr(X,Y)':a='alpha(X,Y)'`;
   }
 
   /**
-   * Create all rotated frames (or just resize if rotation disabled)
+   * rgbsplit: red and blue pushed amount pixels apart
    */
-  async prepareFrames(sequence) {
-    if (this.maxRotation === 0) {
-      console.log('🎨 Preparing frames (rotation disabled for performance)...\n');
-      console.log('  Optimizing: caching resized frames to avoid duplicates\n');
+  rgbSplitEffect(amount) {
+    const offset = Math.round(amount);
+    return `rgbashift=rh=-${offset}:bh=${offset}:edge=smear`;
+  }
+
+  /**
+   * tracking: a noisy VHS tracking band rolling down the picture
+   */
+  trackingEffect(amount) {
+    const band = 'lt(mod(Y-T*H*0.4,H),H/10)';
+    return `geq=lum='if(${band},clip(lum(X,Y)+random(1)*${Math.round(64 * amount)}-16,0,255),lum(X,Y))':cb='cb(X,Y)':cr='cr(X,Y)':a='alpha(X,Y)'`;
+  }
 
-      // When rotation is disabled, we can cache resized frames since they're identical
-      const frameCache = new Map();
-      const preparedFrames = [];
+  /**
+   * tear: bands of lines shifted sideways by up to amount pixels, a dozen times a second
+   */
+  tearEffect(amount) {
+    const band = 'floor(Y/6)';
+    const step = 'floor(T*12)';
+    const shift = `gt(sin(${band}*12.9898+${step}*78.233),0.8)*${Math.round(amount)}*sin(${band}*7.1+${step}*3.7)`;
+    const at = (channel) => `${channel}(X-${shift},Y)`;
+    return `format=rgba,geq=r='${at('r')}':g='${at('g')}':b='${at('b')}':a='${at('alpha')}'`;
+  }
 
-      // First pass: identify unique frames and create them
-      const uniqueFrames = new Set();
-      for (const item of sequence) {
-        uniqueFrames.add(item.frame);
-      }
+  /**
+   * posterize: amount levels per color channel
+   */
+  posterizeEffect(amount) {
+    const levels = Math.max(2, Math.round(amount));
+    const lut = `floor(val*${levels}/256)*255/${levels - 1}`;
+    return `lutrgb=r='${lut}':g='${lut}':b='${lut}'`;
+  }
+
+  /**
+   * datamosh: each frame blended with the amount previous ones
+   */
+  datamoshEffect(amount) {
+    return `tmix=frames=${Math.max(2, Math.round(amount) + 1)}`;
+  }
+
+  /**
+   * bleed: color smeared amount pixels to the right of its edges
+   */
+  bleedEffect(amount) {
+    const offset = Math.max(1, Math.round(amount));
+    return `chromashift=cbh=${offset}:crh=${offset},avgblur=sizeX=${offset}:sizeY=1:planes=6`;
+  }
+
+  /**
+   * Seed for ffmpeg's noise filter, derived from the run's seed: all_seed only
+   * takes 0..2147483647, while seeds go up to 2^32 - 1
+   */
+  noiseSeed(offset) {
+    return (this.seed + offset) % 2147483647;
+  }
+
+  /**
+   * noise: temporal noise of strength amount
+   */
+  noiseEffect(amount) {
+    return `noise=alls=${Math.round(amount)}:allf=t+u:all_seed=${this.noiseSeed(0)}`;
+  }
+
+  /**
+   * grain: luma grain of strength amount
+   */
+  grainEffect(amount) {
+    return `noise=c0s=${Math.round(amount)}:c0f=u:all_seed=${this.noiseSeed(1)}`;
+  }
 
-      console.log(`  Creating ${uniqueFrames.size} unique frames from ${sequence.length} total frames...\n`);
+  /**
+   * saturate: saturation times amount
+   */
+  saturateEffect(amount) {
+    return `hue=s=${amount}`;
+  }
 
-      let cacheIndex = 0;
-      for (const uniqueFrame of uniqueFrames) {
-        const frameName = path.basename(uniqueFrame);
-        process.stdout.write(`  [${cacheIndex + 1}/${uniqueFrames.size}] Creating ${frameName}...`);
+  /**
+   * redpush: reds pushed up by amount (0-1) in shadows and highlights
+   */
+  redPushEffect(amount) {
+    return `colorbalance=rm=${amount}:rh=${amount}`;
+  }
 
-        const outputFrame = await this.createResizedFrame(uniqueFrame, cacheIndex);
-        frameCache.set(uniqueFrame, outputFrame);
+  /**
+   * Append an enable option (from effectEnable) to a filter
+   */
+  withEnable(filter, enable) {
+    if (!enable) {
+      return filter;
+    }
+    return `${filter}${filter.includes('=') ? ':' : '='}${enable}`;
+  }
 
-        console.log(' ✓');
-        cacheIndex++;
+  /**
+   * Check the mask, border, glow and bezel options. The bezel image is probed
+   * once here; its size and screen window are kept for the filters.
+   */
+  validatePresentation() {
+    // Pixel defaults follow the size, which --overlay may only know once the video is probed
+    if (this.cornerRadius === null) {
+      this.cornerRadius = Math.round(this.size / 8);
+    }
+    if (this.shadowOffset === null) {
+      this.shadowOffset = Math.round(this.size / 32);
+    }
+    if (!MASK_SHAPES.includes(this.mask)) {
+      throw new Error(`Unknown mask: ${this.mask} (use ${MASK_SHAPES.join(', ')})`);
+    }
+    for (const [label, value] of [['Corner radius', this.cornerRadius], ['Border', this.border], ['Glow', this.glow], ['Shadow offset', this.shadowOffset]]) {
+      if (!(Number.isInteger(value) && value >= 0)) {
+        throw new Error(`${label} must be a whole number of pixels, got ${value}`);
       }
+    }
 
-      console.log('\n  Building sequence with cached frames...\n');
+    this.bezelImage = null;
+    if (!this.bezel) {
+      return;
+    }
+    if (!fs.existsSync(this.bezel)) {
+      throw new Error(`Bezel image not found: ${this.bezel}`);
+    }
+    if (!this.bezelWindow) {
+      throw new Error('A bezel needs --bezel-window x,y,width,height (its screen area in bezel pixels)');
+    }
 
-      // Second pass: build sequence using cached frames
-      for (let i = 0; i < sequence.length; i++) {
-        const item = sequence[i];
-        const cachedFrame = frameCache.get(item.frame);
+    const values = (Array.isArray(this.bezelWindow) ? this.bezelWindow : String(this.bezelWindow).split(',')).map(Number);
+    const [x, y, width, height] = values;
+    if (values.length !== 4 || values.some(value => !Number.isInteger(value) || value < 0) || width === 0 || height === 0) {
+      throw new Error(`Invalid bezel window: ${this.bezelWindow} (use x,y,width,height in pixels)`);
+    }
 
-        preparedFrames.push({
-          ...item,
-          rotatedFrame: cachedFrame
-        });
+    const image = this.probeImageSize(this.bezel);
+    if (x + width > image.width || y + height > image.height) {
+      throw new Error(`Bezel window ${values.join(',')} does not fit the ${image.width}x${image.height} bezel image`);
+    }
+    this.bezelImage = { ...image, window: { x, y, width, height } };
+  }
 
-        if ((i + 1) % 1000 === 0) {
-          process.stdout.write(`  Processed ${i + 1}/${sequence.length} frames...\r`);
-        }
+  /**
+   * Width and height of an image or of a video's first video stream
+   */
+  probeImageSize(file) {
+    let probeOutput;
+    try {
+      probeOutput = execSync(
+        `ffprobe -v error -select_streams v:0 -show_entries stream=width,height -of csv=p=0 "${file}"`,
+        { encoding: 'utf-8' }
+      );
+    } catch (e) {
+      throw new Error(`Could not read the picture size of ${file}`);
+    }
+    const [width, height] = probeOutput.trim().split(',').map(Number);
+    return { width, height };
+  }
+
+  /**
+   * Transparent space around the head for the border, glow and shadow
+   */
+  presentationMargin() {
+    // Glow is blurred with power 2 (twice its radius); the shadow is offset and blurred by the same amount
+    const spread = Math.max(2 * this.glow, this.shadow ? 2 * this.shadowOffset : 0);
+    return this.border + spread;
+  }
+
+  /**
+   * Size of the presented head: the head plus its margin, or with a bezel the
+   * bezel image scaled to the head size in width
+   */
+  presentationSize() {
+    if (this.bezelImage) {
+      const { width, height } = this.bezelImage;
+      return { width: this.size, height: 2 * Math.round(this.size * height / width / 2) };
+    }
+    const side = this.size + 2 * this.presentationMargin();
+    return { width: side, height: side };
+  }
+
+  /**
+   * Print the mask, border, glow, shadow and bezel in use
+   */
+  logPresentation() {
+    const parts = [];
+    if (this.mask !== 'square') {
+      parts.push(this.mask === 'rounded' ? `rounded mask (${this.cornerRadius}px corners)` : 'circle mask');
+    }
+    if (this.border > 0) {
+      parts.push(`${this.border}px ${this.borderColor} border`);
+    }
+    if (this.glow > 0) {
+      parts.push(`${this.glow}px ${this.glowColor} glow`);
+    }
+    if (this.shadow) {
+      parts.push(`${this.shadowOffset}px drop shadow`);
+    }
+    if (this.bezelImage) {
+      const { x, y, width, height } = this.bezelImage.window;
+      parts.push(`bezel ${path.basename(this.bezel)} (screen ${width}x${height} at ${x},${y})`);
+    }
+    if (parts.length > 0) {
+      const { width, height } = this.presentationSize();
+      console.log(`🖼️  Presentation: ${parts.join(', ')} → ${width}x${height}\n`);
+    }
+  }
+
+  /**
+   * geq expression (0-1) for a rounded square of half-size `half` and corner
+   * radius `radius`, centered in the frame: a signed distance with a one-pixel
+   * soft edge. Radius 0 is a plain square, radius = half a circle.
+   */
+  shapeAlpha(half, radius) {
+    const qx = `(abs(X+0.5-W/2)-${half - radius})`;
+    const qy = `(abs(Y+0.5-H/2)-${half - radius})`;
+    return `clip(0.5-(hypot(max(${qx},0),max(${qy},0))+min(max(${qx},${qy}),0)-${radius}),0,1)`;
+  }
+
+  /**
+   * Dress the moving head: circle or rounded mask, border, glow, drop shadow
+   * and bezel. Runs after motion and glitches, so the shape stays put while the
+   * head turns inside it and glitches stay inside the shape. Returns null for a
+   * plain square head.
+   */
+  buildPresentationFilter() {
+    const size = this.size;
+    const margin = this.presentationMargin();
+    const canvas = size + 2 * margin;
+    const half = size / 2;
+    const radius = this.mask === 'circle' ? half : (this.mask === 'rounded' ? Math.min(this.cornerRadius, half) : 0);
+    if (radius === 0 && margin === 0 && !this.bezelImage) {
+      return null;
+    }
+
+    const keepColor = 'r=\'r(X,Y)\':g=\'g(X,Y)\':b=\'b(X,Y)\'';
+    const filters = ['format=rgba'];
+    if (margin > 0) {
+      filters.push(`pad=w=${canvas}:h=${canvas}:x=${margin}:y=${margin}:color=black@0`);
+    }
+    if (radius > 0) {
+      filters.push(`geq=${keepColor}:a='alpha(X,Y)*${this.shapeAlpha(half, radius)}'`);
+    }
+
+    // Border: a plate of the same shape, grown by the border width, behind the head
+    if (this.border > 0) {
+      const plateRadius = radius > 0 ? radius + this.border : 0;
+      filters.push('split[dress_head][dress_plate]');
+      filters.push(`[dress_plate]drawbox=c=${this.borderColor}:t=fill,format=rgba,geq=${keepColor}:a='255*${this.shapeAlpha(half + this.border, plateRadius)}'[dress_border]`);
+      filters.push('[dress_border][dress_head]overlay=format=auto');
+    }
+
+    // Shadow and glow: the silhouette filled with a flat color and blurred, stacked under the head
+    const layers = [];
+    if (this.shadow) {
+      const offset = this.shadowOffset;
+      const blur = offset > 0 ? `,boxblur=${offset}:1` : '';
+      layers.push(`drawbox=c=black:t=fill,colorchannelmixer=aa=0.6${blur},` +
+        `pad=w=iw+${offset}:h=ih+${offset}:x=${offset}:y=${offset}:color=black@0,crop=${canvas}:${canvas}:0:0`);
+    }
+    if (this.glow > 0) {
+      layers.push(`drawbox=c=${this.glowColor}:t=fill,boxblur=${this.glow}:2`);
+    }
+    if (layers.length > 0) {
+      filters.push(`split=${layers.length + 1}[dress_main]${layers.map((_, i) => `[dress_layer${i}]`).join('')}`);
+      layers.forEach((layer, i) => filters.push(`[dress_layer${i}]${layer}[dress_under${i}]`));
+      let below = '[dress_under0]';
+      for (let i = 1; i < layers.length; i++) {
+        filters.push(`${below}[dress_under${i}]overlay=format=auto[dress_stack${i}]`);
+        below = `[dress_stack${i}]`;
       }
+      filters.push(`${below}[dress_main]overlay=format=auto`);
+    }
 
-      console.log(`  ✓ Completed ${sequence.length} frames using ${uniqueFrames.size} cached images\n`);
-      return preparedFrames;
-    } else {
-      console.log('🎨 Preparing rotated frames...\n');
+    // Bezel: the dressed head covers the screen window and the bezel image goes on top
+    if (this.bezelImage) {
+      const { x, y, width, height } = this.bezelImage.window;
+      const output = this.presentationSize();
+      filters.push(`scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},` +
+        `pad=w=${this.bezelImage.width}:h=${this.bezelImage.height}:x=${x}:y=${y}:color=black@0[dress_screen]`);
+      filters.push(`movie=${escapeFilterValue(this.bezel)},format=rgba[dress_bezel]`);
+      filters.push(`[dress_screen][dress_bezel]overlay=format=auto,scale=${output.width}:${output.height}`);
+    }
+
+    filters.push('format=yuva420p');
+    return filters.join(',');
+  }
+
+  /**
+   * Read caption cues from an .srt or .vtt file
+   */
+  readCaptions(captionFile) {
+    if (!fs.existsSync(captionFile)) {
+      throw new Error(`Caption file not found: ${captionFile}`);
+    }
 
-      const preparedFrames = [];
+    const extension = path.extname(captionFile).toLowerCase();
+    if (extension !== '.srt' && extension !== '.vtt') {
+      throw new Error(`Unsupported caption format: ${extension} (use .srt or .vtt)`);
+    }
 
-      for (let i = 0; i < sequence.length; i++) {
-        const item = sequence[i];
-        process.stdout.write(`  [${i + 1}/${sequence.length}] Rotating ${item.frameName} by ${item.rotation.toFixed(1)}°...`);
+    // SRT and WebVTT share the cue layout: optional id, "start --> end" line, text lines.
+    // Blocks without a timing line (WEBVTT header, NOTE, STYLE) are skipped.
+    const captions = [];
+    const blocks = fs.readFileSync(captionFile, 'utf-8').replace(/^\uFEFF/, '').split(/\r?\n\s*\r?\n/);
+    for (const block of blocks) {
+      const lines = block.split(/\r?\n/);
+      const timing = lines.findIndex(line => line.includes('-->'));
+      if (timing === -1) {
+        continue;
+      }
 
-        const rotatedFrame = await this.createRotatedFrame(item.frame, item.rotation, i);
-        preparedFrames.push({
-          ...item,
-          rotatedFrame: rotatedFrame
-        });
+      const [start, end] = lines[timing].split('-->').map(part => this.parseCaptionTimestamp(part.trim().split(/\s+/)[0]));
+      const text = lines.slice(timing + 1)
+        .map(line => line.replace(/<[^>]+>/g, '').replace(/\{\\[^}]*\}/g, '').trim())
+        .filter(line => line.length > 0)
+        .join(' ');
 
-        console.log(' ✓');
+      if (text.length > 0 && end > start) {
+        captions.push({ start, end, text });
       }
+    }
 
-      console.log('');
-      return preparedFrames;
+    if (captions.length === 0) {
+      throw new Error(`No captions found in ${captionFile}`);
     }
+    return captions.sort((a, b) => a.start - b.start);
   }
 
   /**
-   * Create ffmpeg concat file
+   * Seconds from an SRT (00:01:02,500) or WebVTT (01:02.500) timestamp
    */
-  createConcatFile(preparedFrames) {
-    const concatPath = '/tmp/caricature-concat.txt';
-    let content = '';
+  parseCaptionTimestamp(timestamp) {
+    const match = timestamp.match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})$/);
+    if (!match) {
+      throw new Error(`Invalid caption timestamp: ${timestamp}`);
+    }
+    const [, hours, minutes, seconds, millis] = match;
+    return parseInt(hours || 0) * 3600 + parseInt(minutes) * 60 + parseInt(seconds) + parseInt(millis.padEnd(3, '0')) / 1000;
+  }
 
-    for (const item of preparedFrames) {
-      content += `file '${item.rotatedFrame}'\n`;
-      content += `duration ${item.duration.toFixed(3)}\n`;
+  /**
+   * Break caption text into lines of at most maxChars (long words stay whole)
+   */
+  wrapCaptionText(text, maxChars) {
+    const lines = [];
+    let line = '';
+    for (const word of text.split(/\s+/)) {
+      if (line && line.length + 1 + word.length > maxChars) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    }
+    if (line) {
+      lines.push(line);
     }
+    return lines.join('\n');
+  }
 
-    // Add last frame again (ffmpeg concat quirk)
-    const lastFrame = preparedFrames[preparedFrames.length - 1];
-    content += `file '${lastFrame.rotatedFrame}'\n`;
+  /**
+   * drawtext filters for the captions. The layout gives the head's position as
+   * ffmpeg expressions (headX, headY), its presented size (headWidth, headHeight),
+   * which side of the head the bubble goes
+   * (bubbleSide, 'left' or 'right') and the widest a bubble or caption line may get.
+   * Caption text goes through text files, so no drawtext escaping is needed;
+   * returns the filter and those files, for cleanup after the encode.
+   */
+  buildCaptionFilter(captions, layout) {
+    const style = CAPTION_STYLES[this.captionStyle];
+    if (!style) {
+      throw new Error(`Unknown caption style: ${this.captionStyle} (use ${Object.keys(CAPTION_STYLES).join(', ')})`);
+    }
 
-    fs.writeFileSync(concatPath, content);
-    return concatPath;
+    const fontSize = this.captionSize;
+    const color = this.captionColor || style.color;
+    const background = this.captionBackground || style.background;
+    const padding = Math.round(fontSize / 2);
+    const isFontFile = /[\\/]|\.(ttf|otf|ttc)$/i.test(this.captionFont);
+    const font = `${isFontFile ? 'fontfile' : 'font'}=${escapeFilterValue(this.captionFont)}`;
+    const common = `${font}:fontsize=${fontSize}:expansion=none`;
+
+    // Average glyph width is a bit over half the font size; lower thirds over a
+    // whole video (no captionWidth) use the broadcast line length of 42 characters
+    const charsFor = (width) => Math.max(8, Math.floor(width / (fontSize * 0.55)));
+    const maxChars = this.captionStyle === 'bubble'
+      ? charsFor(layout.bubbleWidth - 2 * padding)
+      : (layout.captionWidth ? charsFor(layout.captionWidth) : 42);
+
+    // The bubble's edge sits one font size away from the head; its pointer fills the gap
+    const gap = fontSize;
+    const top = `${layout.headY}+${Math.round(layout.headHeight * 0.15)}`;
+    const filters = [];
+    const textFiles = [];
+
+    captions.forEach((caption, i) => {
+      const textFile = `/tmp/caricature-caption-${i}.txt`;
+      fs.writeFileSync(textFile, this.wrapCaptionText(caption.text, maxChars));
+      textFiles.push(textFile);
+      const enable = `enable='between(t,${this.stutterTime(caption.start).toFixed(3)},${this.stutterTime(caption.end).toFixed(3)})'`;
+      const box = `box=1:boxcolor=${background}:boxborderw=${padding}:line_spacing=${Math.round(fontSize / 4)}`;
+
+      if (this.captionStyle === 'lower-third') {
+        filters.push(`drawtext=${common}:textfile='${textFile}':fontcolor=${color}:${box}:x=(w-text_w)/2:y=h-text_h-h/12:${enable}`);
+      } else if (layout.bubbleSide === 'left') {
+        filters.push(`drawtext=${common}:textfile='${textFile}':fontcolor=${color}:${box}:x='${layout.headX}-${gap + padding}-text_w':y='${top}':${enable}`);
+        filters.push(`drawtext=${common}:text='\u25B6':fontcolor=${background}:x='${layout.headX}-${gap}':y='${top}':${enable}`);
+      } else {
+        filters.push(`drawtext=${common}:textfile='${textFile}':fontcolor=${color}:${box}:x='${layout.headX}+${layout.headWidth + gap + padding}':y='${top}':${enable}`);
+        filters.push(`drawtext=${common}:text='\u25C0':fontcolor=${background}:x='${layout.headX}+${layout.headWidth + gap}-text_w':y='${top}':${enable}`);
+      }
+    });
+
+    return { filter: filters.join(','), textFiles: textFiles };
   }
 
   /**
-   * Build glitch filter
+   * Output format for a file: explicit --format, else inferred from the extension
    */
-  buildGlitchFilter() {
-    if (this.glitchLevel === 0) {
-      return 'format=yuva420p';
+  resolveOutputFormat(outputFile) {
+    if (this.outputFormat) {
+      const format = OUTPUT_FORMATS[this.outputFormat];
+      if (!format) {
+        throw new Error(`Unknown output format: ${this.outputFormat} (use ${Object.keys(OUTPUT_FORMATS).join(', ')})`);
+      }
+      return { name: this.outputFormat, ...format };
     }
 
-    const filters = ['format=yuva420p'];
+    const extension = path.extname(outputFile).toLowerCase();
+    const name = Object.keys(OUTPUT_FORMATS).find(key => OUTPUT_FORMATS[key].extensions.includes(extension)) || 'mp4';
+    return { name, ...OUTPUT_FORMATS[name] };
+  }
 
-    // Add scanlines
-    if (this.glitchLevel >= 1) {
-      filters.push('split[a][b]');
-      filters.push('[a]geq=\'r=r(X,Y):g=g(X,Y):b=b(X,Y):a=if(not(mod(Y\\,3))\\,255\\,a(X,Y))\'[scanlines]');
-      filters.push('[b][scanlines]overlay');
+  /**
+   * Where ffmpeg writes: image sequences need a numbered pattern like head-%05d.png
+   */
+  resolveOutputPath(outputFile, format) {
+    if (!format.sequence) {
+      return outputFile;
     }
 
-    // Add random temporal noise
-    if (this.glitchLevel >= 2) {
-      filters.push('noise=alls=10:allf=t+u');
+    let pattern = outputFile;
+    if (!outputFile.includes('%')) {
+      const parsed = path.parse(outputFile);
+      pattern = path.join(parsed.dir, `${parsed.name}-%05d${parsed.ext || '.png'}`);
     }
 
-    // Add chromatic aberration simulation
-    if (this.glitchLevel >= 3) {
-      filters.push('split[main][dup]');
-      filters.push('[dup]lutrgb=r=0:b=0,crop=iw-4:ih:2:0[green]');
-      filters.push('[main][green]overlay=0:0');
+    fs.mkdirSync(path.dirname(pattern) || '.', { recursive: true });
+    return pattern;
+  }
+
+  /**
+   * Two-pass GIF palette in one graph, keeping a transparent palette entry
+   */
+  buildPaletteFilter() {
+    return 'split[gif_a][gif_b];' +
+      '[gif_a]palettegen=reserve_transparent=1:stats_mode=diff[gif_palette];' +
+      '[gif_b][gif_palette]paletteuse=alpha_threshold=128:dither=bayer:bayer_scale=3';
+  }
+
+  /**
+   * Human readable size of what was written (file size or number of images)
+   */
+  describeOutput(outputPath, format) {
+    if (format.sequence) {
+      const dir = path.dirname(outputPath);
+      const [prefix, suffix] = path.basename(outputPath).split(/%0?\d*d/);
+      const count = fs.readdirSync(dir || '.').filter(f => f.startsWith(prefix) && f.endsWith(suffix)).length;
+      return `${outputPath} (${count} images)`;
     }
 
-    return filters.join(',');
+    const stats = fs.statSync(outputPath);
+    return `${outputPath} (${(stats.size / 1024).toFixed(2)} KB)`;
+  }
+
+  /**
+   * Where a --preview draft goes: next to the output, as <name>-preview.mp4
+   */
+  previewPath(outputFile) {
+    const parsed = path.parse(outputFile.replace(/%0?\d*d/, ''));
+    return path.join(parsed.dir, `${parsed.name.replace(/-$/, '')}-preview.mp4`);
+  }
+
+  /**
+   * Write the sendcmd file driving the preview HUD: for every sequence entry the
+   * status line (dB, mouth state, frame name), the loudness bar and the threshold
+   * markers, which follow timeline segments that move the threshold
+   */
+  createHudCommands(sequence, meter) {
+    const commandPath = '/tmp/caricature-hud.txt';
+    const { open, close } = this.resolveThresholds();
+    const meterX = (loudness) => {
+      const clamped = Math.min(0, Math.max(SILENCE_FLOOR, loudness));
+      return meter.x + Math.round((clamped - SILENCE_FLOOR) / -SILENCE_FLOOR * meter.width);
+    };
+    // drawtext options are split on ':' and sendcmd arguments on ',' and ';'
+    const clean = (text) => String(text).replace(/[^\w .\/+-]/g, '_');
+
+    let content = '';
+    let start = 0;
+    for (const item of sequence) {
+      const end = start + item.duration;
+      const hasLoudness = typeof item.loudness === 'number';
+      const shift = this.settingAt(item.time, 'threshold', open) - open;
+
+      const state = item.mouthOpen ? `open ${item.mouthLevel || ''}` : 'closed';
+      const notes = [
+        item.viseme && item.viseme !== 'rest' ? item.viseme : null,
+        item.voice === false ? 'no speech' : null,
+        item.stutter ? 'stutter' : null
+      ].filter(Boolean);
+      const level = hasLoudness ? `${item.loudness.toFixed(1)} dB` : 'cue';
+      const text = clean(`${level.padEnd(9)} ${state.padEnd(10)} ${item.frameName || path.basename(item.frame)}${notes.length > 0 ? `  ${notes.join(' ')}` : ''}`);
+
+      const width = hasLoudness ? Math.max(1, meterX(item.loudness) - meter.x) : 1;
+      content += `${start.toFixed(3)}-${end.toFixed(3)} [enter] drawtext@hud_status reinit 'text=${text}', ` +
+        `drawbox@hud_level w ${width}, drawbox@hud_level color ${item.mouthOpen ? 'lime' : 'gray'}, ` +
+        `drawbox@hud_open x ${meterX(open + shift) - 1}, drawbox@hud_close x ${meterX(close + shift) - 1};\n`;
+      start = end;
+    }
+
+    fs.writeFileSync(commandPath, content);
+    return commandPath;
+  }
+
+  /**
+   * Filter graph of a --preview draft: the head (flattened onto dark gray) above a
+   * debug panel and the audio waveform. Reads [0:v] and [1:a], ends in [outv] and [outa].
+   */
+  buildPreviewGraph(videoFilter, canvas, stutterAudio, sequence) {
+    const width = 2 * Math.ceil(Math.max(PREVIEW.hudWidth, canvas.width) / 2);
+    const height = canvas.height + PREVIEW.panelHeight;
+    const fontSize = PREVIEW.fontSize;
+    const text = `font='Monospace':fontsize=${fontSize}`;
+    const meter = { x: 8, y: canvas.height + fontSize + 10, width: width - 16, height: 10 };
+    const commandFile = this.createHudCommands(sequence, meter);
+
+    const { open, close } = this.resolveThresholds();
+    const thresholds = close === open ? `threshold ${open} dB` : `open ${open} dB  close ${close} dB`;
+    const marker = `y=${meter.y - 2}:w=2:h=${meter.height + 4}:t=fill`;
+
+    const head = [
+      `color=c=0x202020:s=${width}x${height}:r=${this.frameRateArg()}[hud_bg]`,
+      `[0:v]${[videoFilter, 'format=rgba'].filter(Boolean).join(',')}[hud_head]`,
+      `[hud_bg][hud_head]overlay=x=${Math.floor((width - canvas.width) / 2)}:y=0:shortest=1,` +
+        `drawbox=x=${meter.x}:y=${meter.y}:w=${meter.width}:h=${meter.height}:color=0x404040:t=fill,` +
+        `sendcmd=f=${commandFile},` +
+        `drawbox@hud_level=x=${meter.x}:y=${meter.y}:w=1:h=${meter.height}:color=gray:t=fill,` +
+        `drawbox@hud_close=x=${meter.x}:${marker}:color=yellow,` +
+        `drawbox@hud_open=x=${meter.x}:${marker}:color=white,` +
+        `drawtext@hud_status=${text}:fontcolor=white:x=${meter.x}:y=${canvas.height + 6}:expansion=none:text='-',` +
+        `drawtext=${text}:fontcolor=0xaaaaaa:x=${meter.x}:y=${meter.y + meter.height + 6}:text='%{pts\\:hms}  ${thresholds}',` +
+        'format=rgba[hud_top]'
+    ];
+    const audio = [
+      `[1:a]${[stutterAudio, 'asplit'].filter(Boolean).join(',')}[hud_a][outa]`,
+      `[hud_a]showwaves=s=${width}x${PREVIEW.waveHeight}:mode=cline:rate=${this.frameRateArg()}:colors=0x66ccff,format=rgba[hud_wave]`
+    ];
+
+    return {
+      commandFile: commandFile,
+      graph: [...head, ...audio, '[hud_top][hud_wave]vstack=shortest=1,format=yuv420p[outv]'].join(';')
+    };
   }
 
   /**
@@ -472,49 +3519,113 @@ class Caricature {
     console.log('='.repeat(60));
     console.log('Audio-synchronized talking head animation');
     console.log('='.repeat(60) + '\n');
+    this.logSeed();
 
-    // Find and categorize frames
-    const frames = this.findFrames();
-    console.log(`✓ Found frames for character: ${this.characterName}`);
-    console.log(`  Closed mouth: ${this.closedFrames.length} frames`);
-    this.closedFrames.forEach((f) => {
-      console.log(`    - ${path.basename(f)}`);
-    });
-    console.log(`  Open mouth: ${this.openFrames.length} frames`);
-    this.openFrames.forEach((f) => {
-      console.log(`    - ${path.basename(f)}`);
-    });
-    console.log('');
+    if (this.sizePercent && !this.preview) {
+      throw new Error('A percentage --size is relative to the video height and needs --overlay');
+    }
+
+    // A draft for tuning: small head (so masks and motion scale with it), fast encode, debug HUD
+    if (this.preview) {
+      this.size = Math.min(this.size, PREVIEW.size);
+      console.log(`🔍 Preview: ${this.size}px head, fast encode, debug HUD → ${this.previewPath(this.outputFile)}\n`);
+    }
+
+    // Find and categorize frames (including those of timeline segments)
+    this.loadTimeline();
+    this.findFrames();
+    this.logFrames();
+    this.validatePresentation();
+    this.logPresentation();
 
     // Generate audio-synchronized sequence
-    const sequence = await this.generateAudioSequence();
+    const generated = await this.generateAudioSequence();
+    if (this.sequenceOut) {
+      this.writeSequence(generated, this.sequenceOut);
+    }
+    const sequence = this.applyStutter(generated);
+    this.detectBursts(sequence);
 
-    // Prepare all rotated frames
+    // Prepare all frames (resized once, rotated inside ffmpeg)
     const preparedFrames = await this.prepareFrames(sequence);
 
     // Create concat file
     const concatFile = this.createConcatFile(preparedFrames);
 
+    // Per-frame head poses are fed to ffmpeg's rotate and crop filters via sendcmd
+    const motionCommands = this.hasMotion(preparedFrames) ? this.createMotionCommands(preparedFrames) : null;
+
+    // Captions: a speech bubble needs room, so the canvas doubles in width with the bubble right of the head
+    let captionFilter = null;
+    let captionFiles = [];
+    const canvas = this.presentationSize();
+    if (this.captions) {
+      const captions = this.readCaptions(this.captions);
+      const head = this.presentationSize();
+      console.log(`💬 Captions: ${captions.length} cues from ${this.captions} (${this.captionStyle})\n`);
+      ({ filter: captionFilter, textFiles: captionFiles } = this.buildCaptionFilter(captions, {
+        headX: 0,
+        headY: 0,
+        headWidth: head.width,
+        headHeight: head.height,
+        bubbleSide: 'right',
+        bubbleWidth: head.width - this.captionSize,
+        captionWidth: Math.round(head.width * 0.9)
+      }));
+      if (this.captionStyle === 'bubble') {
+        captionFilter = `pad=w=${2 * head.width}:h=${head.height}:x=0:y=0:color=black@0,${captionFilter}`;
+        canvas.width = 2 * head.width;
+      }
+    }
+
     // Build ffmpeg command with audio
-    const glitchFilter = this.buildGlitchFilter();
+    const videoFilter = [
+      this.buildMotionFilter(motionCommands),
+      this.buildGlitchFilter(),
+      this.buildPresentationFilter(),
+      captionFilter
+    ].filter(Boolean).join(',');
+
+    // Codec defaults come from the output format (alpha kept where the format can carry it)
+    const format = this.preview
+      ? { name: 'mp4 preview', ...OUTPUT_FORMATS.mp4, video: PREVIEW.video }
+      : this.resolveOutputFormat(this.outputFile);
+    const outputPath = this.preview ? this.previewPath(this.outputFile) : this.resolveOutputPath(this.outputFile, format);
 
     const args = [
       '-f', 'concat',
       '-safe', '0',
-      '-r', '25',  // Specify frame rate for concat demuxer
-      '-i', concatFile,
-      '-i', this.audioInput,
-      '-vf', glitchFilter,
-      '-c:v', 'h264',
-      '-c:a', 'aac',
-      '-pix_fmt', 'yuv420p',
-      '-preset', 'medium',
-      '-crf', '23',
-      '-y',
-      this.outputFile
+      '-r', this.frameRateArg(),  // Specify frame rate for concat demuxer
+      '-i', concatFile
     ];
 
-    console.log('🎬 Encoding Caricature with audio...\n');
+    if (format.audio) {
+      args.push('-i', this.audioInput);
+    }
+
+    // Stuttered word starts are repeated in the audio as well
+    const stutterAudio = this.buildStutterFilter('a', 'stutter');
+
+    let hudCommands = null;
+    if (this.preview) {
+      const preview = this.buildPreviewGraph(videoFilter, canvas, stutterAudio, preparedFrames);
+      hudCommands = preview.commandFile;
+      args.push('-filter_complex', preview.graph, '-map', '[outv]', '-map', '[outa]');
+    } else if (format.palette) {
+      args.push('-filter_complex', `[0:v]${videoFilter},${this.buildPaletteFilter()}`);
+    } else {
+      args.push('-vf', videoFilter);
+    }
+
+    if (!this.preview && format.audio && stutterAudio) {
+      args.push('-af', stutterAudio);
+    }
+
+    args.push(...format.video);
+    args.push(...(format.audio || ['-an']));
+    args.push('-y', outputPath);
+
+    console.log(`🎬 Encoding Caricature as ${format.name}${format.audio ? ' with audio' : ''}...\n`);
 
     return new Promise((resolve, reject) => {
       const ffmpeg = spawn('ffmpeg', args);
@@ -528,35 +3639,178 @@ class Caricature {
         }
       });
 
-      ffmpeg.on('close', (code) => {
-        console.log('\n');
-        if (code === 0) {
-          // Cleanup temp frames
-          preparedFrames.forEach(item => {
-            try {
-              fs.unlinkSync(item.rotatedFrame);
-            } catch (e) {}
-          });
-          try {
-            fs.unlinkSync(concatFile);
-          } catch (e) {}
+      ffmpeg.on('close', (code) => {
+        console.log('\n');
+        if (code === 0) {
+          // Cleanup temp frames and caption text files
+          for (const file of [...preparedFrames.map(item => item.preparedFrame), ...captionFiles]) {
+            try {
+              fs.unlinkSync(file);
+            } catch (e) {}
+          }
+          try {
+            fs.unlinkSync(concatFile);
+            if (motionCommands) {
+              fs.unlinkSync(motionCommands);
+            }
+            if (hudCommands) {
+              fs.unlinkSync(hudCommands);
+            }
+          } catch (e) {}
+
+          console.log('✅ Caricature created!');
+          console.log(`📦 Output: ${this.describeOutput(outputPath, format)}`);
+          console.log(`🎭 Animation frames: ${sequence.length}`);
+          console.log(format.audio ? `🔊 Audio synchronized!` : `🔇 ${format.name} carries no audio`);
+          resolve();
+        } else {
+          console.error('❌ ffmpeg failed:');
+          console.error(stderr);
+          reject(new Error('ffmpeg encoding failed'));
+        }
+      });
+
+      ffmpeg.on('error', reject);
+    });
+  }
+
+  /**
+   * Where the head sits over the video, as ffmpeg overlay expressions. Named
+   * positions give the corners, edge centers or center; x and y (pixels, or
+   * expressions with main_w, main_h, overlay_w, overlay_h and t) override them.
+   */
+  overlayPlacement(position, margin, customX, customY) {
+    if (!OVERLAY_POSITIONS.includes(position)) {
+      throw new Error(`Unknown position: ${position} (use ${OVERLAY_POSITIONS.join(', ')})`);
+    }
+    const [vertical, horizontal] = position === 'center' ? ['center', 'center'] : position.split('-');
+
+    const hasX = customX !== undefined && customX !== null;
+    const hasY = customY !== undefined && customY !== null;
+    const x = { left: `${margin}`, center: '(main_w-overlay_w)/2', right: `main_w-overlay_w-${margin}` }[horizontal];
+    const y = { top: `${margin}`, center: '(main_h-overlay_h)/2', bottom: `main_h-overlay_h-${margin}` }[vertical];
+    return {
+      x: hasX ? String(customX) : x,
+      y: hasY ? String(customY) : y,
+      horizontal,
+      vertical,
+      custom: hasX || hasY
+    };
+  }
+
+  /**
+   * Time ranges the overlay is on screen: always, or with auto-hide all but the
+   * silences. The head leaves after autoHide seconds of closed mouth and comes
+   * back early enough to be fully in by the next opening; absences shorter
+   * than the entrance are skipped.
+   */
+  visibleRanges(sequence) {
+    if (!this.autoHide) {
+      return [[0, Infinity]];
+    }
+
+    const lead = this.enter === 'none' ? 0 : this.enterDuration;
+    const hidden = [];
+    let time = 0;
+    let silenceStart = 0;
+    for (const item of sequence) {
+      if (item.mouthOpen) {
+        if (silenceStart !== null && time - lead - (silenceStart + this.autoHide) > lead) {
+          hidden.push([silenceStart + this.autoHide, time - lead]);
+        }
+        silenceStart = null;
+      } else if (silenceStart === null) {
+        silenceStart = time;
+      }
+      time += item.duration;
+    }
+    if (silenceStart !== null && time > silenceStart + this.autoHide) {
+      hidden.push([silenceStart + this.autoHide, Infinity]);
+    }
+
+    const ranges = [];
+    let cursor = 0;
+    for (const [start, end] of hidden) {
+      if (start > cursor) {
+        ranges.push([cursor, start]);
+      }
+      cursor = end;
+    }
+    if (cursor < Infinity) {
+      ranges.push([cursor, Infinity]);
+    }
+    return ranges;
+  }
+
+  /**
+   * How far the head still is from its place while entering: 1 as a visible
+   * range starts, easing out to 0 after enterDuration. `time` is the filter's
+   * time variable (t in overlay, T in geq).
+   */
+  entranceExpression(ranges, time) {
+    const duration = this.enterDuration;
+    const terms = ranges.map(([start]) => {
+      const from = start.toFixed(3);
+      return `between(${time},${from},${(start + duration).toFixed(3)})*pow(1-(${time}-${from})/${duration},2)`;
+    });
+    return `min(1,${terms.join('+')})`;
+  }
+
+  /**
+   * Rewrite an overlay position expression for drawtext, where w and h are the
+   * video size and the overlay size is known in pixels
+   */
+  drawtextExpression(expression, head) {
+    const names = { main_w: 'w', W: 'w', main_h: 'h', H: 'h', overlay_w: head.width, w: head.width, overlay_h: head.height, h: head.height };
+    return `(${expression.replace(/\b(main_w|main_h|overlay_w|overlay_h|W|H|w|h)\b/g, name => names[name])})`;
+  }
+
+  /**
+   * Audio of the overlay output: the video's own soundtrack, the voice track,
+   * or both mixed with the video's ducked under the voice when asked. Returns
+   * the audio filter (or null) and the arguments that map and encode it.
+   */
+  buildOverlayAudio(format, voiceTrack, videoHasAudio) {
+    if (!format.audio) {
+      return { filter: null, args: ['-an'] };
+    }
+
+    let mode = voiceTrack ? this.audioMode : 'keep';
+    if (mode !== 'replace' && !videoHasAudio) {
+      if (!voiceTrack) {
+        return { filter: null, args: ['-an'] };
+      }
+      mode = 'replace';
+    }
 
-          const stats = fs.statSync(this.outputFile);
-          const sizeKB = (stats.size / 1024).toFixed(2);
-          console.log('✅ Caricature created!');
-          console.log(`📦 Output: ${this.outputFile} (${sizeKB} KB)`);
-          console.log(`🎭 Animation frames: ${sequence.length}`);
-          console.log(`🔊 Audio synchronized!`);
-          resolve();
-        } else {
-          console.error('❌ ffmpeg failed:');
-          console.error(stderr);
-          reject(new Error('ffmpeg encoding failed'));
-        }
-      });
+    // Input 0 is the video, 2 the voice track; both stutter along with the picture
+    const track = (input, dB) => {
+      const chain = [this.buildStutterFilter('a', `stutter${input}`), dB ? `volume=${dB}dB` : null].filter(Boolean);
+      return `[${input}:a:0]${chain.length > 0 ? chain.join(',') : 'anull'}`;
+    };
+    if (mode === 'keep') {
+      if (!this.videoGain && this.stutters.length === 0) {
+        return { filter: null, args: ['-map', '0:a:0', ...(format.copyAudio ? ['-c:a', 'copy'] : format.audio)] };
+      }
+      return { filter: `${track(0, this.videoGain)}[outa]`, args: ['-map', '[outa]', ...format.audio] };
+    }
 
-      ffmpeg.on('error', reject);
-    });
+    // The voice is padded with silence and -shortest ends the output with the video
+    if (mode === 'replace') {
+      return { filter: `${track(2, this.voiceGain)},apad[outa]`, args: ['-map', '[outa]', '-shortest', ...format.audio] };
+    }
+
+    const filters = [`${track(0, this.videoGain)}[bed]`];
+    if (this.duck) {
+      // Sidechain compression: the voice pushes the video's audio down while it speaks
+      filters.push(`${track(2, this.voiceGain)},apad,asplit[voice][voice_key]`);
+      filters.push('[bed][voice_key]sidechaincompress=threshold=0.02:ratio=8:attack=20:release=400[ducked]');
+      filters.push('[ducked][voice]amix=inputs=2:duration=first:normalize=0,apad[outa]');
+    } else {
+      filters.push(`${track(2, this.voiceGain)},apad[voice]`);
+      filters.push('[bed][voice]amix=inputs=2:duration=first:normalize=0,apad[outa]');
+    }
+    return { filter: filters.join(';'), args: ['-map', '[outa]', '-shortest', ...format.audio] };
   }
 
   /**
@@ -566,34 +3820,86 @@ class Caricature {
     const position = options.position || 'bottom-right';
     const margin = options.margin || 20;
     const outputVideo = options.output || 'output-with-caricature.mp4';
+    const placement = this.overlayPlacement(position, margin, options.x, options.y);
+    if (!ENTRANCES.includes(this.enter)) {
+      throw new Error(`Unknown entrance: ${this.enter} (use ${ENTRANCES.join(', ')})`);
+    }
+    if (this.enter !== 'none' && !(this.enterDuration > 0)) {
+      throw new Error(`Entrance duration must be positive, got ${this.enterDuration}`);
+    }
+    if (!(this.autoHide >= 0)) {
+      throw new Error(`Auto-hide must be zero or more seconds, got ${this.autoHide}`);
+    }
+    if (!AUDIO_MODES.includes(this.audioMode)) {
+      throw new Error(`Unknown audio mode: ${this.audioMode} (use ${AUDIO_MODES.join(', ')})`);
+    }
+
+    // A separate voice track (--audio) drives the mouth instead of the video's soundtrack
+    const voiceTrack = this.audioInput;
+    if (voiceTrack && !fs.existsSync(voiceTrack)) {
+      throw new Error(`Voice track not found: ${voiceTrack}`);
+    }
+    const videoHasAudio = this.probeHasAudio(inputVideo);
+    if (!voiceTrack && !videoHasAudio && !this.sequenceIn && !this.mouthCues) {
+      throw new Error(`${inputVideo} has no audio to drive the mouth; add a voice track with --audio`);
+    }
 
     console.log('\n📹 CREATING SYNCHRONIZED OVERLAY');
     console.log('='.repeat(60));
     console.log(`   Video: ${inputVideo}`);
-    console.log(`   Position: ${position}`);
+    console.log(`   Position: ${placement.custom ? `x=${placement.x}, y=${placement.y}` : position}`);
     console.log(`   Margin: ${margin}px`);
+    if (this.enter !== 'none' || this.autoHide) {
+      console.log(`   Entrance: ${this.enter}${this.enter !== 'none' ? ` (${this.enterDuration}s)` : ''}${this.autoHide ? `, auto-hide after ${this.autoHide}s of silence` : ''}`);
+    }
+    if (voiceTrack) {
+      const mode = videoHasAudio ? this.audioMode : 'replace (the video has no audio)';
+      console.log(`   Voice: ${voiceTrack}, ${mode}${this.duck && mode === 'mix' ? ' with ducking' : ''}`);
+    } else if (!videoHasAudio) {
+      console.log('   Audio: none (the video has no audio track)');
+    }
     console.log('='.repeat(60) + '\n');
+    this.logSeed();
 
-    // Step 1: Use video's audio for synchronization
-    this.audioInput = inputVideo;
+    // Step 1: Use the voice track or the video's audio for synchronization, and the video's frame rate unless --fps was given
+    this.audioInput = voiceTrack || inputVideo;
 
-    // Step 2: Find and categorize frames
-    const frames = this.findFrames();
-    console.log(`✓ Found frames for character: ${this.characterName}`);
-    console.log(`  Closed mouth: ${this.closedFrames.length} frames`);
-    this.closedFrames.forEach((f) => {
-      console.log(`    - ${path.basename(f)}`);
-    });
-    console.log(`  Open mouth: ${this.openFrames.length} frames`);
-    this.openFrames.forEach((f) => {
-      console.log(`    - ${path.basename(f)}`);
-    });
-    console.log('');
+    if (this.matchInputFps) {
+      const inputFps = this.probeFrameRate(inputVideo);
+      if (inputFps) {
+        this.setFrameRate(inputFps);
+      } else {
+        console.log(`⚠️  Could not detect the video frame rate, using ${this.fps} fps`);
+      }
+    }
+    console.log(`🎞️  Frame rate: ${this.frameRateArg()} fps\n`);
+
+    // A percentage size follows the video height, so one config suits 720p and 4K alike
+    if (this.sizePercent) {
+      if (!(this.sizePercent > 0 && this.sizePercent <= 100)) {
+        throw new Error(`Size must be between 0% and 100% of the video height, got ${this.sizePercent}%`);
+      }
+      const video = this.probeImageSize(inputVideo);
+      this.size = Math.max(2, 2 * Math.round(video.height * this.sizePercent / 200));
+      console.log(`📐 Size: ${this.sizePercent}% of ${video.height}px = ${this.size}px\n`);
+    }
+
+    // Step 2: Find and categorize frames (including those of timeline segments)
+    this.loadTimeline();
+    this.findFrames();
+    this.logFrames();
+    this.validatePresentation();
+    this.logPresentation();
 
     // Step 3: Generate audio-synchronized sequence
-    const sequence = await this.generateAudioSequence();
+    const generated = await this.generateAudioSequence();
+    if (this.sequenceOut) {
+      this.writeSequence(generated, this.sequenceOut);
+    }
+    const sequence = this.applyStutter(generated);
+    this.detectBursts(sequence);
 
-    // Step 4: Prepare all rotated frames
+    // Step 4: Prepare all frames (resized once, rotated inside ffmpeg)
     const preparedFrames = await this.prepareFrames(sequence);
 
     // Step 5: Comprehensive verification
@@ -614,11 +3920,11 @@ class Caricature {
 
     for (const idx of samplesToCheck) {
       const frame = preparedFrames[idx];
-      if (!fs.existsSync(frame.rotatedFrame)) {
-        throw new Error(`Frame ${idx} missing: ${frame.rotatedFrame}`);
+      if (!fs.existsSync(frame.preparedFrame)) {
+        throw new Error(`Frame ${idx} missing: ${frame.preparedFrame}`);
       }
-      const stats = fs.statSync(frame.rotatedFrame);
-      console.log(`  Frame ${idx}: ${path.basename(frame.rotatedFrame)} (${(stats.size / 1024).toFixed(1)} KB)`);
+      const stats = fs.statSync(frame.preparedFrame);
+      console.log(`  Frame ${idx}: ${path.basename(frame.preparedFrame)} (${(stats.size / 1024).toFixed(1)} KB)`);
     }
 
     console.log('  ✓ All sampled frames exist\n');
@@ -635,49 +3941,99 @@ class Caricature {
     const concatLines = concatContent.split('\n').filter(l => l.trim().length > 0);
     console.log(`  Concat file: ${concatFile} (${concatLines.length} lines)\n`);
 
-    // Step 7: Calculate position
-    let x, y;
-    switch (position) {
-      case 'bottom-right':
-        x = `main_w-overlay_w-${margin}`;
-        y = `main_h-overlay_h-${margin}`;
-        break;
-      case 'bottom-left':
-        x = margin;
-        y = `main_h-overlay_h-${margin}`;
-        break;
-      case 'top-right':
-        x = `main_w-overlay_w-${margin}`;
-        y = margin;
-        break;
-      case 'top-left':
-        x = margin;
-        y = margin;
-        break;
-      default:
-        x = `main_w-overlay_w-${margin}`;
-        y = `main_h-overlay_h-${margin}`;
-    }
-
-    // Step 8: Build glitch filter and composite everything in one ffmpeg call
-    const glitchFilter = this.buildGlitchFilter();
+    // Step 7: Calculate position, entrances and when the head is on screen
+    const visible = this.visibleRanges(sequence);
+    let { x, y } = placement;
+    let entranceFilter = null;
+    if (this.enter === 'slide') {
+      // In from the nearest side; centered heads rise from the bottom
+      const remaining = this.entranceExpression(visible, 't');
+      if (placement.horizontal === 'center') {
+        y = `${y}+(main_h-(${y}))*${remaining}`;
+      } else {
+        const offscreen = placement.horizontal === 'right' ? 'main_w' : '-overlay_w';
+        x = `${x}+(${offscreen}-(${x}))*${remaining}`;
+      }
+    } else if (this.enter === 'fade') {
+      entranceFilter = `format=rgba,geq=r='r(X,Y)':g='g(X,Y)':b='b(X,Y)':a='alpha(X,Y)*(1-${this.entranceExpression(visible, 'T')})'`;
+    }
+
+    let enable = '';
+    if (visible.length > 1 || visible[0][1] !== Infinity) {
+      enable = `:enable='${this.timeRangeExpression(visible)}'`;
+      console.log(`🙈 Auto-hide: on screen ${visible.length} time${visible.length === 1 ? '' : 's'}, hidden during longer silences\n`);
+    }
+
+    // Step 8: Build motion and glitch filters and composite everything in one ffmpeg call
+    const motionCommands = this.hasMotion(preparedFrames) ? this.createMotionCommands(preparedFrames) : null;
+    const talkingFilter = [
+      this.buildMotionFilter(motionCommands),
+      this.buildGlitchFilter(),
+      this.buildPresentationFilter(),
+      entranceFilter
+    ].filter(Boolean).join(',');
+
+    // Codec defaults come from the output format; the video's audio is copied when the container allows
+    const format = this.resolveOutputFormat(outputVideo);
+    const outputPath = this.resolveOutputPath(outputVideo, format);
+
+    const fps = this.frameRateArg();
+    // A voice track may end before the video: the video then plays on without the head
+    const ending = voiceTrack ? 'eof_action=pass' : 'shortest=1';
+    // Stutters repeat the background video too, so it stays in sync with the head and audio
+    const baseFilter = [this.buildStutterFilter('v', 'stutter_base'), `fps=${fps}`].filter(Boolean).join(',');
+    let filterGraph = `[1:v]fps=${fps},${talkingFilter},format=yuva420p[talking];[0:v]${baseFilter}[base];[base][talking]overlay=x='${x}':y='${y}':${ending}${enable}`;
+
+    // Captions are drawn on the composite; the bubble sits on the side of the head facing the middle
+    let captionFiles = [];
+    if (this.captions) {
+      const captions = this.readCaptions(this.captions);
+      console.log(`💬 Captions: ${captions.length} cues from ${this.captions} (${this.captionStyle})\n`);
+      const isRight = placement.horizontal === 'right';
+      const head = this.presentationSize();
+      const caption = this.buildCaptionFilter(captions, {
+        headX: this.drawtextExpression(x, head),
+        headY: this.drawtextExpression(y, head),
+        headWidth: head.width,
+        headHeight: head.height,
+        bubbleSide: isRight ? 'left' : 'right',
+        bubbleWidth: Math.round(this.size * 1.5),
+        captionWidth: null
+      });
+      filterGraph += ',' + caption.filter;
+      captionFiles = caption.textFiles;
+    }
+    if (format.palette) {
+      filterGraph += `,${this.buildPaletteFilter()}`;
+    }
+    filterGraph += '[outv]';
+
+    // Inputs: 0 = video, 1 = talking head frames, 2 = voice track
+    const audio = this.buildOverlayAudio(format, voiceTrack, videoHasAudio);
+    if (audio.filter) {
+      filterGraph += `;${audio.filter}`;
+    }
 
     const args = [
       '-i', inputVideo,
       '-f', 'concat',
       '-safe', '0',
-      '-r', '25',  // Specify frame rate for concat demuxer (caricature input)
-      '-i', concatFile,
-      '-filter_complex', `[1:v]fps=25,${glitchFilter},format=yuva420p[talking];[0:v]fps=25[base];[base][talking]overlay=${x}:${y}:shortest=1`,
-      '-r', '25',  // Force output framerate to match caricature (25 fps)
-      '-c:v', 'h264',
-      '-c:a', 'copy',
-      '-pix_fmt', 'yuv420p',
-      '-preset', 'medium',
-      '-crf', '23',
-      '-y',
-      outputVideo
+      '-r', fps,  // Specify frame rate for concat demuxer (caricature input)
+      '-i', concatFile
     ];
+    if (voiceTrack) {
+      args.push('-i', voiceTrack);
+    }
+
+    args.push(
+      '-filter_complex', filterGraph,
+      '-map', '[outv]',
+      '-r', fps,  // Force output framerate to match caricature
+      ...format.video,
+      ...audio.args
+    );
+
+    args.push('-y', outputPath);
 
     console.log('🎬 Compositing video with synchronized talking head...\n');
 
@@ -696,24 +4052,25 @@ class Caricature {
       ffmpeg.on('close', (code) => {
         console.log('\n');
 
-        // Cleanup temp frames
-        preparedFrames.forEach(item => {
+        // Cleanup temp frames and caption text files
+        for (const file of [...preparedFrames.map(item => item.preparedFrame), ...captionFiles]) {
           try {
-            fs.unlinkSync(item.rotatedFrame);
+            fs.unlinkSync(file);
           } catch (e) {}
-        });
+        }
         try {
           fs.unlinkSync(concatFile);
+          if (motionCommands) {
+            fs.unlinkSync(motionCommands);
+          }
         } catch (e) {}
 
         if (code === 0) {
-          const stats = fs.statSync(outputVideo);
-          const sizeMB = (stats.size / 1024 / 1024).toFixed(2);
           console.log('✅ Video with talking head created!');
-          console.log(`📦 Output: ${outputVideo} (${sizeMB} MB)`);
+          console.log(`📦 Output: ${this.describeOutput(outputPath, format)}`);
           console.log(`🎭 Animation frames: ${sequence.length}`);
-          console.log(`🔊 Audio synchronized!`);
-          resolve(outputVideo);
+          console.log(format.audio ? `🔊 Audio synchronized!` : `🔇 ${format.name} carries no audio`);
+          resolve(outputPath);
         } else {
           console.error('❌ Overlay failed:');
           console.error(stderr.substring(stderr.length - 1000)); // Last 1000 chars
@@ -724,6 +4081,317 @@ class Caricature {
       ffmpeg.on('error', reject);
     });
   }
+
+  /**
+   * Encode a prepared frame once in the live output's pixel format
+   */
+  encodeLiveFrame(preparedFrame, output) {
+    try {
+      return execSync(
+        `ffmpeg -v error -i "${preparedFrame}" -frames:v 1 ${output.args.join(' ')} -`,
+        { maxBuffer: 50 * 1024 * 1024, stdio: ['ignore', 'pipe', 'pipe'] }
+      );
+    } catch (e) {
+      throw new Error(`ffmpeg failed to encode ${path.basename(preparedFrame)} for live output: ${e.stderr ? e.stderr.toString().trim() : e.message}`);
+    }
+  }
+
+  /**
+   * Start ffmpeg decoding stdin to voice band-passed mono float samples,
+   * flushed packet by packet so loudness follows the stream closely
+   */
+  spawnLiveDecoder(sampleRate) {
+    const input = this.liveFormat === 'auto'
+      ? ['-probesize', '32768', '-analyzeduration', '0']
+      : ['-f', this.liveFormat, '-ar', String(this.liveRate), '-ac', String(this.liveChannels)];
+
+    const args = [
+      '-v', 'error',
+      '-fflags', 'nobuffer',
+      ...input,
+      '-i', 'pipe:0',
+      '-af', `aformat=channel_layouts=mono,aresample=${sampleRate},highpass=f=${this.voiceBand[0]},lowpass=f=${this.voiceBand[1]}`,
+      '-f', 'f32le',
+      '-flush_packets', '1',
+      'pipe:1'
+    ];
+
+    return spawn('ffmpeg', args, { stdio: ['inherit', 'pipe', 'pipe'] });
+  }
+
+  /**
+   * Serve an MJPEG stream (multipart/x-mixed-replace) on a local port;
+   * returns a sender that skips clients still busy with earlier frames
+   */
+  async startMjpegServer(maxQueued) {
+    const clients = new Set();
+    let lastFrame = null;
+
+    const sendPart = (res, jpeg) => {
+      res.write(`--caricature\r\nContent-Type: image/jpeg\r\nContent-Length: ${jpeg.length}\r\n\r\n`);
+      res.write(jpeg);
+      res.write('\r\n');
+    };
+
+    const server = http.createServer((req, res) => {
+      res.writeHead(200, {
+        'Content-Type': 'multipart/x-mixed-replace; boundary=caricature',
+        'Cache-Control': 'no-cache',
+        'Connection': 'close'
+      });
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      if (lastFrame) {
+        sendPart(res, lastFrame);
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      server.once('error', (err) => reject(new Error(`Could not listen on port ${this.livePort}: ${err.message}`)));
+      server.listen(this.livePort, '127.0.0.1', resolve);
+    });
+    console.log(`📡 MJPEG stream: http://127.0.0.1:${this.livePort}/\n`);
+
+    return {
+      send(jpeg) {
+        lastFrame = jpeg;
+        let dropped = false;
+        for (const res of clients) {
+          if (res.writableLength > maxQueued * jpeg.length) {
+            dropped = true;
+          } else {
+            sendPart(res, jpeg);
+          }
+        }
+        return !dropped;
+      },
+      close() {
+        for (const res of clients) {
+          res.end();
+        }
+        server.close();
+      }
+    };
+  }
+
+  /**
+   * Render-only settings that live mode cannot apply, as the flags that set them
+   */
+  liveIgnoredOptions() {
+    const checks = [
+      [this.vad, '--vad'],
+      [this.timeline, '--timeline'],
+      [this.captions, '--captions'],
+      [this.glitchLevel > 0 || this.effects, '--glitch/--effects'],
+      [this.motion !== 'jitter' || this.maxRotation !== 0, '--motion/--rotation'],
+      [this.stutterProbability > 0 || this.stutterAt, '--stutter/--stutter-at'],
+      [this.mask !== 'square' || this.border > 0 || this.glow > 0 || this.shadow || this.bezel, '--mask/--border/--glow/--shadow/--bezel'],
+      [this.mouthCues, '--mouth-cues'],
+      [this.sequenceIn || this.sequenceOut, '--sequence-in/--sequence-out'],
+      [this.syncOffset !== 0, '--sync-offset'],
+      [this.key && this.liveOutput !== 'raw', `--key transparency (${this.liveOutput} has no alpha)`]
+    ];
+    return checks.filter(([isSet]) => isSet).map(([, flag]) => flag);
+  }
+
+  /**
+   * Live mode: read an audio stream from stdin, gate the mouth on the
+   * loudness of every frame-long block as it arrives, and stream the cached
+   * frames out (y4m or raw to the video stream, or MJPEG over HTTP). Frames
+   * queue for at most liveLatency milliseconds; beyond that they are dropped.
+   * Progress is logged with console.log, so route the console elsewhere when
+   * the video stream is stdout (the CLI sends it to stderr).
+   */
+  async live(video = process.stdout) {
+    const output = LIVE_OUTPUTS[this.liveOutput];
+    if (!output) {
+      throw new Error(`Unknown live output: ${this.liveOutput} (use ${Object.keys(LIVE_OUTPUTS).join(', ')})`);
+    }
+
+    if (process.stdin.isTTY) {
+      throw new Error('live reads audio from stdin, e.g. ffmpeg -re -i talk.mp3 -f s16le -ac 1 -ar 48000 - | caricature live');
+    }
+    if (this.sizePercent) {
+      throw new Error('A percentage --size needs --overlay (a share of the video height)');
+    }
+    if (this.liveOutput === 'y4m' && this.size % 2 !== 0) {
+      throw new Error(`y4m output needs an even --size, got ${this.size}`);
+    }
+    if (!(this.liveLatency >= 0)) {
+      throw new Error(`Live latency must be 0 ms or more, got ${this.liveLatency}`);
+    }
+    if (this.loudnessThreshold === 'auto') {
+      throw new Error('Live mode needs a fixed --threshold (run caricature analyze on a recording of the same setup to pick one)');
+    }
+    if (this.lipSync !== 'loudness') {
+      throw new Error('Live mode drives the mouth from loudness only (--lipsync loudness)');
+    }
+
+    console.log('🔴 CARICATURE LIVE');
+    console.log('='.repeat(60) + '\n');
+
+    const ignored = this.liveIgnoredOptions();
+    if (ignored.length > 0) {
+      console.log(`⚠️  No effect in live mode: ${ignored.join(', ')}\n`);
+    }
+
+    this.resetRandom();
+    this.logSeed();
+    this.findFrames();
+    this.logFrames();
+
+    // Every frame the mouth can show is resized once and encoded once up front
+    const frames = [...this.closedFrames, ...this.openFrames];
+    const preparedFrames = await this.prepareFrames(frames.map(frame => ({ frame: frame, duration: this.frameDuration })));
+    let encodedFrames;
+    try {
+      encodedFrames = new Map(preparedFrames.map(item => [item.frame, this.encodeLiveFrame(item.preparedFrame, output)]));
+    } finally {
+      // The encoded bytes are all the stream needs
+      for (const item of preparedFrames) {
+        try {
+          fs.unlinkSync(item.preparedFrame);
+        } catch (e) {}
+      }
+    }
+
+    const { num, den } = this.frameRateFraction();
+    const maxQueued = Math.max(1, Math.round(this.liveLatency / 1000 / this.frameDuration));
+    const input = this.liveFormat === 'auto' ? 'probed stream' : `${this.liveFormat}, ${this.liveRate} Hz, ${this.liveChannels} ch`;
+    console.log(`  Input: stdin (${input})`);
+    console.log(`  Output: ${this.liveOutput}, ${this.size}x${this.size} at ${this.frameRateArg()} fps`);
+    console.log(`  Latency budget: ${this.liveLatency} ms (${maxQueued} frames)\n`);
+
+    let send;
+    let mjpeg = null;
+    if (output.stdout) {
+      if (this.liveOutput === 'y4m') {
+        video.write(`YUV4MPEG2 W${this.size} H${this.size} F${num}:${den} Ip A1:1 C420jpeg\n`);
+      }
+      send = (frame) => {
+        if (video.writableLength > maxQueued * frame.length) {
+          return false;
+        }
+        if (this.liveOutput === 'y4m') {
+          video.write('FRAME\n');
+        }
+        video.write(frame);
+        return true;
+      };
+    } else {
+      mjpeg = await this.startMjpegServer(maxQueued);
+      send = (frame) => mjpeg.send(frame);
+    }
+
+    // Same gate, levels and hold as a render; percentile bands follow the last 30 seconds
+    const sampleRate = 16000;
+    const samplesPerFrame = Math.round(sampleRate * this.frameDuration);
+    const mouthGate = this.createMouthGate(this.frameDuration);
+    const history = [];
+    const historyLength = Math.round(30 / this.frameDuration);
+    const bandInterval = Math.max(1, Math.round(1 / this.frameDuration));
+    let levelBands = this.computeLevelBands(history);
+
+    let heldFrame = null;
+    let heldShape = null;
+    let heldCount = 0;
+    let frameCount = 0;
+    let droppedCount = 0;
+    let pending = Buffer.alloc(0);
+
+    const renderBlock = (samples) => {
+      let sum = 0;
+      for (let i = 0; i < samples.length; i++) {
+        sum += samples[i] * samples[i];
+      }
+      const rms = Math.sqrt(sum / samples.length);
+      const loudness = rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+
+      history.push({ loudness: loudness });
+      if (history.length > historyLength) {
+        history.shift();
+      }
+      if (this.levelMode === 'percentile' && frameCount % bandInterval === 0) {
+        levelBands = this.computeLevelBands(history);
+      }
+
+      const isMouthOpen = mouthGate.step(loudness);
+      const level = isMouthOpen ? this.levelFrames[this.pickMouthLevel(loudness, levelBands)] : null;
+      const shape = level ? level.name : 'closed';
+      if (shape === heldShape && heldCount < this.holdFrames) {
+        heldCount++;
+      } else {
+        heldFrame = this.selectFrame(level);
+        heldShape = shape;
+        heldCount = 1;
+      }
+
+      if (!send(encodedFrames.get(heldFrame))) {
+        droppedCount++;
+      }
+      frameCount++;
+
+      if (frameCount % bandInterval === 0) {
+        const reading = Number.isFinite(loudness) ? `${loudness.toFixed(1)} dB` : 'silence';
+        process.stderr.write(`  ${(frameCount * this.frameDuration).toFixed(0)}s  ${shape.padEnd(6)} ${reading.padEnd(10)} dropped ${droppedCount}\r`);
+      }
+    };
+
+    const decoder = this.spawnLiveDecoder(sampleRate);
+    let stopped = false;
+
+    return new Promise((resolve, reject) => {
+      let stderr = '';
+
+      decoder.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      decoder.stdout.on('data', (data) => {
+        // Samples arrive in arbitrary chunks; render every complete frame-long block
+        pending = Buffer.concat([pending, data]);
+        const blockBytes = samplesPerFrame * 4;
+        let offset = 0;
+        while (pending.length - offset >= blockBytes) {
+          const block = new Float32Array(samplesPerFrame);
+          for (let i = 0; i < samplesPerFrame; i++) {
+            block[i] = pending.readFloatLE(offset + i * 4);
+          }
+          renderBlock(block);
+          offset += blockBytes;
+        }
+        pending = pending.subarray(offset);
+      });
+
+      // A closed consumer (e.g. ffplay quit) ends the stream
+      video.on('error', (err) => {
+        if (err.code === 'EPIPE') {
+          stopped = true;
+          decoder.kill();
+        }
+      });
+
+      decoder.on('close', (code) => {
+        if (mjpeg) {
+          mjpeg.close();
+        }
+
+        if (code !== 0 && !stopped) {
+          reject(new Error(`ffmpeg failed to decode the live input: ${stderr.trim() || `exit code ${code}`}`));
+          return;
+        }
+
+        console.log(`\n\n✅ Live stream ended`);
+        console.log(`🎭 Frames: ${frameCount} (${(frameCount * this.frameDuration).toFixed(1)}s)`);
+        console.log(`⏭️  Dropped to keep latency: ${droppedCount}`);
+        resolve({ frames: frameCount, dropped: droppedCount });
+      });
+
+      decoder.on('error', (err) => {
+        reject(new Error(`ffmpeg spawn error for live input: ${err.message}`));
+      });
+    });
+  }
 }
 
 
@@ -738,52 +4406,297 @@ if (isMainModule) {
   const __dirname = path.dirname(__filename);
   const samplesDir = path.join(__dirname, 'samples');
 
-  const options = {
+  // Built-in defaults; config file, character defaults, preset and flags are layered on top
+  const defaults = {
     audio: null,
     character: 'character1',
     frameDir: samplesDir,
     output: 'caricature.mp4',
     size: 320,
-    maxRotation: 0,  // 0 = no rotation (faster)
+    maxRotation: 0,  // 0 = no rotation
+    motion: 'jitter',
     glitchLevel: 0,   // 0 = no glitch (faster)
+    effects: null,
+    burstThreshold: 'auto',
+    burstLength: 0.2,
+    stutter: 0,
+    stutterRepeats: 2,
+    stutterAt: null,
     loudnessThreshold: -35,
-    frameDuration: 0.04
-  };
-
-  let overlayMode = false;
-  let inputVideo = null;
-  let overlayOptions = {
+    openRatio: 0.45,
+    analyzer: 'ebur128',
+    voiceBand: [300, 3400],
+    syncOffset: 0,
+    vad: false,
+    vadSensitivity: 0.5,
+    vadDebug: null,
+    seed: null,
+    preview: false,
+    format: null,
+    fps: null,
+    frameDuration: null,
+    duration: 15,
+    framePattern: 'character*.jpg',
+    mouthLevels: ['half', 'open', 'wide'],
+    levelBands: null,
+    levelMode: null,
+    openThreshold: null,
+    closeThreshold: null,
+    minOpenDuration: 0,
+    minClosedDuration: 0,
+    holdFrames: 1,
+    lipSync: 'loudness',
+    mouthCues: null,
+    cuesFps: 24,
+    cueFallback: 'AI',
+    maxClosureDuration: 0.12,
+    timeline: null,
+    sequenceOut: null,
+    sequenceIn: null,
+    export: null,
+    key: null,
+    keyMode: 'colorkey',
+    keySimilarity: 0.3,
+    keyFeather: 1,
+    captions: null,
+    captionStyle: 'bubble',
+    captionFont: 'Sans',
+    captionSize: 24,
+    captionColor: null,
+    captionBackground: null,
+    mask: 'square',
+    cornerRadius: null,
+    border: 0,
+    borderColor: 'white',
+    glow: 0,
+    glowColor: 'cyan',
+    shadow: false,
+    shadowOffset: null,
+    bezel: null,
+    bezelWindow: null,
+    enter: 'none',
+    enterDuration: 0.5,
+    autoHide: 0,
+    audioMode: 'mix',
+    voiceGain: 0,
+    videoGain: 0,
+    duck: false,
+    liveFormat: 's16le',
+    liveRate: 48000,
+    liveChannels: 1,
+    liveOutput: 'y4m',
+    livePort: 8090,
+    liveLatency: 200,
+    overlay: null,
     position: 'bottom-right',
-    margin: 20
+    margin: 20,
+    x: null,
+    y: null
   };
 
-  // Parse arguments
-  for (let i = 0; i < args.length; i++) {
-    if (args[i] === '--audio' || args[i] === '-a') {
-      options.audio = args[++i];
-    } else if (args[i] === '--character' || args[i] === '-c') {
-      options.character = args[++i];
-    } else if (args[i] === '--dir' || args[i] === '-D') {
-      options.frameDir = args[++i];
-    } else if (args[i] === '--size' || args[i] === '-s') {
-      options.size = parseInt(args[++i]);
-    } else if (args[i] === '--rotation' || args[i] === '-r') {
-      options.maxRotation = parseFloat(args[++i]);
-    } else if (args[i] === '--glitch' || args[i] === '-g') {
-      options.glitchLevel = parseInt(args[++i]);
-    } else if (args[i] === '--threshold' || args[i] === '-t') {
-      options.loudnessThreshold = parseFloat(args[++i]);
-    } else if (args[i] === '--output' || args[i] === '-o') {
-      options.output = args[++i];
-    } else if (args[i] === '--overlay' || args[i] === '-O') {
-      overlayMode = true;
-      inputVideo = args[++i];
-    } else if (args[i] === '--position' || args[i] === '-p') {
-      overlayOptions.position = args[++i];
-    } else if (args[i] === '--margin' || args[i] === '-m') {
-      overlayOptions.margin = parseInt(args[++i]);
-    } else if (args[i] === '--help' || args[i] === '-h') {
-      console.log(`
+  let analyzeMode = false;
+  let analyzeFile = null;
+  let liveMode = false;
+
+  // Subcommand: caricature analyze <file> [options]
+  if (args[0] === 'analyze') {
+    analyzeMode = true;
+    args.shift();
+    if (args.length > 0 && !args[0].startsWith('-')) {
+      analyzeFile = args.shift();
+    }
+  }
+
+  // Subcommand: caricature live [options] < audio stream
+  if (args[0] === 'live') {
+    liveMode = true;
+    args.shift();
+  }
+
+  /**
+   * Parse command line flags into settings; returns the flags it did not recognize
+   */
+  function parseFlags(args) {
+    const settings = {};
+    const unknown = [];
+
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === '--audio' || args[i] === '-a') {
+        settings.audio = args[++i];
+      } else if (args[i] === '--character' || args[i] === '-c') {
+        settings.character = args[++i];
+      } else if (args[i] === '--dir' || args[i] === '-D') {
+        settings.frameDir = args[++i];
+      } else if (args[i] === '--size' || args[i] === '-s') {
+        const size = args[++i];
+        settings.size = size.endsWith('%') ? size : parseInt(size);
+      } else if (args[i] === '--rotation' || args[i] === '-r') {
+        settings.maxRotation = parseFloat(args[++i]);
+      } else if (args[i] === '--motion' || args[i] === '-M') {
+        settings.motion = args[++i];
+      } else if (args[i] === '--glitch' || args[i] === '-g') {
+        settings.glitchLevel = parseInt(args[++i]);
+      } else if (args[i] === '--effects') {
+        settings.effects = args[++i];
+      } else if (args[i] === '--burst-threshold') {
+        const threshold = args[++i];
+        settings.burstThreshold = threshold === 'auto' ? 'auto' : parseFloat(threshold);
+      } else if (args[i] === '--burst-length') {
+        settings.burstLength = parseFloat(args[++i]);
+      } else if (args[i] === '--stutter') {
+        settings.stutter = parseFloat(args[++i]);
+      } else if (args[i] === '--stutter-repeats') {
+        settings.stutterRepeats = parseInt(args[++i]);
+      } else if (args[i] === '--stutter-at') {
+        settings.stutterAt = args[++i];
+      } else if (args[i] === '--threshold' || args[i] === '-t') {
+        const threshold = args[++i];
+        settings.loudnessThreshold = threshold === 'auto' ? 'auto' : parseFloat(threshold);
+      } else if (args[i] === '--analyzer') {
+        settings.analyzer = args[++i];
+      } else if (args[i] === '--voice-band') {
+        settings.voiceBand = args[++i].split(',').map(Number);
+      } else if (args[i] === '--sync-offset') {
+        settings.syncOffset = parseFloat(args[++i]) / 1000;
+      } else if (args[i] === '--vad') {
+        settings.vad = true;
+      } else if (args[i] === '--vad-sensitivity') {
+        settings.vad = true;
+        settings.vadSensitivity = parseFloat(args[++i]);
+      } else if (args[i] === '--vad-debug') {
+        settings.vad = true;
+        settings.vadDebug = args[++i];
+      } else if (args[i] === '--open-ratio') {
+        settings.openRatio = parseFloat(args[++i]);
+      } else if (args[i] === '--open-threshold') {
+        settings.openThreshold = parseFloat(args[++i]);
+      } else if (args[i] === '--close-threshold') {
+        settings.closeThreshold = parseFloat(args[++i]);
+      } else if (args[i] === '--min-open') {
+        settings.minOpenDuration = parseFloat(args[++i]) / 1000;
+      } else if (args[i] === '--min-closed') {
+        settings.minClosedDuration = parseFloat(args[++i]) / 1000;
+      } else if (args[i] === '--hold') {
+        settings.holdFrames = parseInt(args[++i]);
+      } else if (args[i] === '--lipsync') {
+        settings.lipSync = args[++i];
+      } else if (args[i] === '--max-closure') {
+        settings.maxClosureDuration = parseFloat(args[++i]) / 1000;
+      } else if (args[i] === '--mouth-cues') {
+        settings.mouthCues = args[++i];
+      } else if (args[i] === '--cues-fps') {
+        settings.cuesFps = parseFloat(args[++i]);
+      } else if (args[i] === '--cue-fallback') {
+        settings.cueFallback = args[++i];
+      } else if (args[i] === '--timeline') {
+        settings.timeline = args[++i];
+      } else if (args[i] === '--sequence-out') {
+        settings.sequenceOut = args[++i];
+      } else if (args[i] === '--sequence-in') {
+        settings.sequenceIn = args[++i];
+      } else if (args[i] === '--export') {
+        settings.export = args[++i].split(',').map(file => file.trim()).filter(file => file.length > 0);
+      } else if (args[i] === '--key') {
+        settings.key = args[++i];
+      } else if (args[i] === '--key-mode') {
+        settings.keyMode = args[++i];
+      } else if (args[i] === '--key-similarity') {
+        settings.keySimilarity = parseFloat(args[++i]);
+      } else if (args[i] === '--key-feather') {
+        settings.keyFeather = parseFloat(args[++i]);
+      } else if (args[i] === '--captions') {
+        settings.captions = args[++i];
+      } else if (args[i] === '--caption-style') {
+        settings.captionStyle = args[++i];
+      } else if (args[i] === '--caption-font') {
+        settings.captionFont = args[++i];
+      } else if (args[i] === '--caption-size') {
+        settings.captionSize = parseInt(args[++i]);
+      } else if (args[i] === '--caption-color') {
+        settings.captionColor = args[++i];
+      } else if (args[i] === '--caption-bg') {
+        settings.captionBackground = args[++i];
+      } else if (args[i] === '--mask') {
+        settings.mask = args[++i];
+      } else if (args[i] === '--corner-radius') {
+        settings.cornerRadius = parseInt(args[++i]);
+      } else if (args[i] === '--border') {
+        settings.border = parseInt(args[++i]);
+      } else if (args[i] === '--border-color') {
+        settings.borderColor = args[++i];
+      } else if (args[i] === '--glow') {
+        settings.glow = parseInt(args[++i]);
+      } else if (args[i] === '--glow-color') {
+        settings.glowColor = args[++i];
+      } else if (args[i] === '--shadow') {
+        settings.shadow = true;
+      } else if (args[i] === '--shadow-offset') {
+        settings.shadow = true;
+        settings.shadowOffset = parseInt(args[++i]);
+      } else if (args[i] === '--bezel') {
+        settings.bezel = args[++i];
+      } else if (args[i] === '--bezel-window') {
+        settings.bezelWindow = args[++i];
+      } else if (args[i] === '--levels') {
+        settings.mouthLevels = args[++i].split(',').map(name => name.trim()).filter(name => name.length > 0);
+      } else if (args[i] === '--bands') {
+        settings.levelBands = args[++i].split(',').map(parseFloat);
+      } else if (args[i] === '--level-mode') {
+        settings.levelMode = args[++i];
+      } else if (args[i] === '--fps') {
+        settings.fps = parseFloat(args[++i]);
+      } else if (args[i] === '--format' || args[i] === '-f') {
+        settings.format = args[++i];
+      } else if (args[i] === '--seed') {
+        settings.seed = args[++i];
+      } else if (args[i] === '--output' || args[i] === '-o') {
+        settings.output = args[++i];
+      } else if (args[i] === '--preview') {
+        settings.preview = true;
+      } else if (args[i] === '--overlay' || args[i] === '-O') {
+        settings.overlay = args[++i];
+      } else if (args[i] === '--position' || args[i] === '-p') {
+        settings.position = args[++i];
+      } else if (args[i] === '--margin' || args[i] === '-m') {
+        settings.margin = parseInt(args[++i]);
+      } else if (args[i] === '--x') {
+        settings.x = args[++i];
+      } else if (args[i] === '--y') {
+        settings.y = args[++i];
+      } else if (args[i] === '--enter') {
+        settings.enter = args[++i];
+      } else if (args[i] === '--enter-duration') {
+        settings.enterDuration = parseFloat(args[++i]);
+      } else if (args[i] === '--auto-hide') {
+        settings.autoHide = parseFloat(args[++i]);
+      } else if (args[i] === '--audio-mode') {
+        settings.audioMode = args[++i];
+      } else if (args[i] === '--voice-gain') {
+        settings.voiceGain = parseFloat(args[++i]);
+      } else if (args[i] === '--video-gain') {
+        settings.videoGain = parseFloat(args[++i]);
+      } else if (args[i] === '--duck') {
+        settings.duck = true;
+      } else if (args[i] === '--live-format') {
+        settings.liveFormat = args[++i];
+      } else if (args[i] === '--live-rate') {
+        settings.liveRate = parseInt(args[++i]);
+      } else if (args[i] === '--live-channels') {
+        settings.liveChannels = parseInt(args[++i]);
+      } else if (args[i] === '--live-output') {
+        settings.liveOutput = args[++i];
+      } else if (args[i] === '--live-port') {
+        settings.livePort = parseInt(args[++i]);
+      } else if (args[i] === '--live-latency') {
+        settings.liveLatency = parseFloat(args[++i]);
+      } else if (args[i] === '--config') {
+        settings.config = args[++i];
+      } else if (args[i] === '--preset' || args[i] === '-P') {
+        settings.preset = args[++i];
+      } else if (args[i] === '--print-config') {
+        settings.printConfig = true;
+      } else if (args[i] === '--help' || args[i] === '-h') {
+        console.log(`
 CARICATURE - Audio-driven talking head animator
 ================================================
 
@@ -794,6 +4707,8 @@ multiple open mouth frames picked randomly for natural variation.
 Usage:
   caricature --audio <file.mp3> [options]     # Standalone with audio
   caricature --overlay <video.mp4> [options]  # Sync to video & overlay
+  caricature analyze <file.mp3> [options]     # Loudness report, no render
+  caricature live [options] < audio-stream    # Realtime frames from stdin
 
 REQUIRED (choose one):
   -a, --audio <file>         Audio file (.mp3, .wav) - creates talking head
@@ -805,24 +4720,187 @@ BASIC OPTIONS:
                              Looks for files: characterN-closed*.jpg
                                              characterN-open*.jpg
   -D, --dir <path>           Directory containing frames (default: samples/)
-  -t, --threshold <dB>       Loudness threshold for mouth open (default: -35)
+  -t, --threshold <dB|auto>  Loudness threshold for mouth open (default: -35)
                              Lower = more sensitive, Higher = less sensitive
-  -s, --size <pixels>        Output size (square) (default: 320)
-  -r, --rotation <degrees>   Max rotation angle (default: 0, disabled for speed)
+                             auto = calibrate from noise floor and speech level
+      --open-ratio <0-1>     Share of open mouth frames targeted by
+                             --threshold auto (default: 0.45)
+      --analyzer <name>      Loudness analyzer (default: ebur128)
+                             ebur128 = momentary loudness, 100 ms steps
+                             rms     = voice band RMS per video frame,
+                                       tighter sync on short syllables
+      --voice-band <lo,hi>   Band-pass in Hz for the rms analyzer and live
+                             mode (default: 300,3400)
+      --sync-offset <ms>     Shift mouth timing: positive = later,
+                             negative = earlier (default: 0)
+      --vad                  Only open the mouth for speech, not for music
+                             beds or noise (voice activity detection)
+      --vad-sensitivity <0-1> Higher = more audio counts as speech
+                             (default: 0.5, implies --vad)
+      --vad-debug <file>     Write per-frame VAD features and decisions
+                             to a .csv or .json file (implies --vad)
+      --open-threshold <dB>  Loudness needed to open the mouth (default: threshold)
+      --close-threshold <dB> Loudness below which the mouth closes again
+                             (default: open threshold). Set a few dB lower
+                             than the open threshold to stop flickering
+      --min-open <ms>        Minimum time the mouth stays open (default: 0)
+      --min-closed <ms>      Minimum time the mouth stays closed (default: 0)
+      --hold <frames>        Keep a picked frame for N frames before picking
+                             a new one (default: 1)
+  -s, --size <pixels>        Output size (square) (default: 320); with
+                             --overlay also a share of the video height,
+                             e.g. 25%
+      --fps <rate>           Frame rate of the animation and output
+                             (default: 25, or the input video's frame
+                             rate with --overlay)
+      --levels <names>       Ordered open mouth levels, least open first
+                             (default: half,open,wide)
+      --bands <dB,dB,...>    dB boundaries between levels, one less than
+                             the number of levels (e.g. -28,-20)
+      --level-mode <mode>    bands or percentile (default: percentile,
+                             or bands when --bands is given)
+      --lipsync <mode>       loudness or visemes (default: loudness)
+                             visemes classifies spectral band energies into
+                             rest, AI, E, O, MBP and FV mouth shapes
+      --max-closure <ms>     Longest closure mid-speech that reads as M/B/P
+                             with --lipsync visemes (default: 120)
+      --mouth-cues <file>    Drive the mouth from a lip-sync cue file instead
+                             of loudness: Rhubarb .tsv/.txt/.json,
+                             Papagayo .pgo or Moho switch .dat
+      --cues-fps <fps>       Frame rate of Moho .dat files (default: 24)
+      --cue-fallback <shape> Viseme for unknown cue letters (default: AI)
+  -r, --rotation <degrees>   Max rotation angle (default: 0)
                              Set to 15-30 for Max Headroom head bobbing effect
-  -g, --glitch <0-3>         Glitch effect level (default: 1)
+  -M, --motion <style>       Head motion style (default: jitter)
+                             jitter = new random angle every frame (classic)
+                             calm   = slow, subtle sway
+                             bob    = Max Headroom head bob on speech onsets
+                             chaos  = big, fast, twitchy moves
+                             calm/bob/chaos also move and zoom the head;
+                             --rotation overrides their rotation amplitude
+  -g, --glitch <0-3>         Glitch effect level (default: 1), a preset
+                             effect chain
+      --effects <list>       Own effect chain instead: scanlines, rgbsplit,
+                             tracking, tear, posterize, datamosh, bleed,
+                             noise, grain, saturate, redpush; name:amount
+                             sets strength, name@peaks switches the effect
+                             on during loudness peaks (on/off at its amount,
+                             not scaled by loudness)
+      --burst-threshold <dB|auto>
+                             Loudness that triggers @peaks effects
+                             (default: auto, the loudest tenth)
+      --burst-length <s>     Shortest burst in seconds (default: 0.2)
+      --stutter <0-1>        Chance that a word start st-st-stutters:
+                             80-200 ms of picture and audio repeated
+      --stutter-repeats <n>  Extra plays of a stuttered word start
+                             (default: 2)
+      --stutter-at <times>   Always stutter at these times (seconds or
+                             m:ss.s, comma-separated)
+      --timeline <file>      JSON cue sheet: time ranges switching character,
+                             expression group, threshold, rotation and
+                             glitch level, with cut/crossfade/glitch
+                             transitions (see README)
+      --sequence-out <file>  Save the generated frame sequence as JSON
+      --sequence-in <file>   Render an (edited) sequence JSON instead of
+                             analyzing the audio
+      --export <files>       Write editing timelines instead of a video:
+                             .otio, .fcpxml and/or .edl (comma-separated)
+      --key <color>          Make a background color transparent (e.g.
+                             green, #00ff00) for frames without alpha;
+                             PNG/WebP/AVIF frames keep their own alpha
+      --key-mode <mode>      colorkey (default) keys the color everywhere,
+                             floodfill only where it touches the edges
+                             (keeps white eyes on a white background;
+                             needs ImageMagick 7)
+      --key-similarity <0-1> How close a color must be to be keyed
+                             (default: 0.3)
+      --key-feather <px>     Soft alpha edge width (default: 1, 0 = hard)
+      --captions <file>      Burn in captions from an .srt or .vtt file
+      --caption-style <s>    bubble (next to the head, default) or
+                             lower-third. Standalone bubbles double the
+                             output width to make room
+      --caption-font <font>  Font name or font file (default: Sans)
+      --caption-size <px>    Font size (default: 24)
+      --caption-color <c>    Text color (default: black in bubbles,
+                             white in lower thirds)
+      --caption-bg <c>       Bubble/box color (default: white in bubbles,
+                             black@0.6 in lower thirds)
+      --mask <shape>         square (default), circle or rounded; the shape
+                             stays put while the head moves inside it
+      --corner-radius <px>   Rounded mask corners (default: size / 8)
+      --border <px>          Border around the head shape (default: 0)
+      --border-color <c>     Border color (default: white)
+      --glow <px>            Glow around the head shape (default: 0)
+      --glow-color <c>       Glow color (default: cyan)
+      --shadow               Drop shadow
+      --shadow-offset <px>   Shadow offset and blur (default: size / 32)
+      --bezel <image>        Frame image drawn over the head (e.g. a CRT)
+                             with a transparent screen area
+      --bezel-window <x,y,w,h>
+                             Screen area of the bezel in bezel pixels
   -o, --output <file>        Output file (default: caricature.mp4)
+  -P, --preset <name>        Apply a named preset: podcast, lecture, chaos,
+                             or one defined in the config file
+      --config <file>        Config file (default: caricature.config.json
+                             in the current directory, when present)
+      --print-config         Print the merged settings and exit
+  -f, --format <name>        Output format (default: from the extension)
+                             mp4  = h264, no transparency
+                             webm = VP9 with alpha (.webm)
+                             mov  = ProRes 4444 with alpha (.mov)
+                             png  = numbered PNG sequence with alpha
+                                    (head.png → head-00001.png, ...)
+                             gif  = animated GIF, transparent palette
+                             apng = animated PNG with alpha (.apng)
+                             png, gif and apng carry no audio
+      --seed <value>         Seed for frame picks, rotation and glitches;
+                             the same seed renders the same performance
+                             (default: random, printed on every run)
+      --preview              Fast low-res draft (<output>-preview.mp4) with
+                             a debug HUD: dB, mouth state and frame name per
+                             frame, loudness bar with thresholds, waveform
 
 OVERLAY-SPECIFIC OPTIONS:
   -p, --position <pos>       Position: bottom-right, bottom-left,
-                             top-right, top-left (default: bottom-right)
+                             top-right, top-left, top-center,
+                             bottom-center, center-left, center-right,
+                             center (default: bottom-right)
   -m, --margin <pixels>      Margin from edges (default: 20)
+      --x <expr>             Custom x: pixels or an ffmpeg expression with
+                             main_w, main_h, overlay_w, overlay_h, t
+      --y <expr>             Custom y (same syntax)
+      --enter <style>        Entrance: none (default), slide or fade
+      --enter-duration <s>   Entrance length in seconds (default: 0.5)
+      --auto-hide <s>        Hide the head after this many seconds of
+                             silence, back at the next speech (default: 0,
+                             always shown)
+  -a, --audio <file>         Voice track driving the mouth instead of the
+                             video's soundtrack
+      --audio-mode <mode>    With a voice track: mix (default) it with the
+                             video's audio, replace that, or keep it and
+                             use the voice track for analysis only
+      --voice-gain <dB>      Voice track volume in the output (default: 0)
+      --video-gain <dB>      Video's audio volume in the output (default: 0)
+      --duck                 Lower the video's audio while the voice
+                             speaks (mix)
+
+LIVE OPTIONS (caricature live):
+      --live-format <fmt>    Audio on stdin: raw PCM format s16le (default),
+                             f32le, ... or auto for any stream ffmpeg can
+                             probe (wav, mp3, ogg, ...)
+      --live-rate <Hz>       Sample rate of raw PCM (default: 48000)
+      --live-channels <n>    Channels of raw PCM (default: 1)
+      --live-output <type>   y4m (default) or raw RGBA frames on stdout,
+                             or mjpeg served over HTTP
+      --live-port <port>     Local port of the mjpeg stream (default: 8090)
+      --live-latency <ms>    Video allowed to queue before frames are
+                             dropped (default: 200)
 
   -h, --help                 Show this help
 
 EXAMPLES:
 
-  # Fast: Create talking head (no rotation, default)
+  # Create talking head (no rotation, default)
   caricature --audio narration.mp3
 
   # One-step: sync to video and overlay (extracts audio automatically!)
@@ -834,14 +4912,30 @@ EXAMPLES:
   # Max Headroom style: enable rotation for head bobbing effect
   caricature --overlay podcast.mp4 -g 3 -r 15 -t -45
 
+  # Smooth, speech-driven head bob instead of jitter
+  caricature -a voice.mp3 --motion bob
+
   # Standalone with custom character
   caricature -a voice.mp3 -c character2 -o talking-head.mp4
 
+  # Transparent layer for your editor (rotated corners stay see-through)
+  caricature -a voice.mp3 -r 15 -o talking-head.webm
+  caricature -a voice.mp3 -r 15 -o talking-head.mov
+
+  # Live: drive the head from a stream and watch it
+  ffmpeg -re -i talk.mp3 -f s16le -ac 1 -ar 48000 - | caricature live | ffplay -
+
+  # Tune the threshold on a quick draft with the debug HUD
+  caricature -a voice.mp3 -t -40 --preview
+
+  # Preset, then check what settings a run would use
+  caricature -a episode.mp3 --preset podcast
+  caricature -a episode.mp3 --preset podcast --print-config
+
 PERFORMANCE TIP:
-  Rotation is disabled by default (0°) for fast processing.
-  A 4-minute video processes in ~1 minute without rotation,
-  vs ~20+ minutes with rotation enabled. Only use -r flag if
-  you want the Max Headroom head bobbing effect!
+  Each unique frame is resized once; rotation runs inside the
+  single ffmpeg encode (rotate filter driven by sendcmd), so a
+  rotated render costs about the same as an unrotated one.
 
 GLITCH LEVELS:
   0 - Clean (no glitch)
@@ -856,21 +4950,160 @@ CHARACTER SETUP:
 
   When audio is loud, a random open frame is picked for natural variation!
 
+  Optional intermediate levels make speech look smoother:
+    character1-half1.jpg     (slightly open, quiet syllables)
+    character1-wide1.jpg     (wide open, loud syllables)
+  Loudness above the threshold is split into one band per level, either
+  by percentile within the clip or by explicit --bands.
+
+  With --lipsync visemes, add viseme frames (all optional):
+    character1-viseme-AI1.jpg, character1-viseme-E1.jpg,
+    character1-viseme-O1.jpg, character1-viseme-MBP1.jpg,
+    character1-viseme-FV1.jpg, character1-viseme-rest1.jpg
+  Missing visemes fall back to open frames (closed for rest and MBP).
+
 THRESHOLD TUNING:
   -35 dB = Good default for speech
   -40 dB = More sensitive (mouth opens more often)
   -30 dB = Less sensitive (only loud sounds trigger)
 
-  Use ffprobe to analyze your audio:
-  ffprobe -f lavfi -i "amovie=file.mp3,astats=1" -show_entries \\
-    frame_tags=lavfi.astats.Overall.RMS_level
+  Mouth strobing near the threshold? Add hysteresis and hold times:
+  caricature -a voice.mp3 --open-threshold -35 --close-threshold -40 \\
+    --min-open 80 --min-closed 80 --hold 3
+
+  Let caricature pick one for you:
+  caricature -a voice.mp3 --threshold auto --open-ratio 0.5
+
+  Or inspect your audio first (prints distribution and suggestions):
+  caricature analyze voice.mp3
       `);
-      process.exit(0);
+        process.exit(0);
+      } else {
+        unknown.push(args[i]);
+      }
+    }
+
+    return { settings, unknown };
+  }
+
+  /**
+   * Read a JSON file, naming it in the error
+   */
+  function readJson(file, label) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (e) {
+      throw new Error(`Could not read ${label} ${file}: ${e.message}`);
+    }
+  }
+
+  /**
+   * Turn config values into settings. Keys are long flag names ("threshold", "min-open")
+   * parsed exactly like the flag, or constructor option names ("loudnessThreshold") used as is
+   */
+  function configSettings(values, source) {
+    const settings = {};
+    const flagArgs = [];
+
+    for (const [key, value] of Object.entries(values)) {
+      if (key in defaults) {
+        settings[key] = value;
+      } else if (['help', 'config', 'preset', 'print-config'].includes(key)) {
+        throw new Error(`"${key}" cannot be set in ${source}`);
+      } else if (value === true) {
+        flagArgs.push(`--${key}`);
+      } else if (value !== false && value !== null) {
+        flagArgs.push(`--${key}`, Array.isArray(value) ? value.join(',') : String(value));
+      }
+    }
+
+    const { settings: flagSettings, unknown } = parseFlags(flagArgs);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown setting "${unknown[0].replace(/^-+/, '')}" in ${source}`);
+    }
+    return { ...flagSettings, ...settings };
+  }
+
+  /**
+   * Merge settings: defaults < config file < character defaults < preset < command line
+   */
+  function resolveSettings(cli) {
+    const sources = [];
+
+    // caricature.config.json in the working directory, or the file given with --config
+    const configPath = cli.config || (fs.existsSync(CONFIG_FILE) ? CONFIG_FILE : null);
+    let fileSettings = {};
+    let presets = PRESETS;
+    let presetName = cli.preset || null;
+
+    if (configPath) {
+      const { presets: customPresets = {}, preset = null, ...values } = readJson(configPath, 'config file');
+      fileSettings = configSettings(values, configPath);
+      presets = { ...PRESETS, ...customPresets };
+      presetName = presetName || preset;
+      sources.push(`📄 Config: ${configPath}`);
+    }
+
+    let presetSettings = {};
+    if (presetName) {
+      if (!presets[presetName]) {
+        throw new Error(`Unknown preset: ${presetName} (use ${Object.keys(presets).join(', ')})`);
+      }
+      presetSettings = configSettings(presets[presetName], `preset "${presetName}"`);
+      sources.push(`🎛️  Preset: ${presetName}`);
+    }
+
+    // Per-character defaults sit next to the frames as <character>.json
+    const { character, frameDir } = { ...defaults, ...fileSettings, ...presetSettings, ...cli };
+    const characterPath = path.join(frameDir, `${character}.json`);
+    let characterSettings = {};
+
+    if (fs.existsSync(characterPath)) {
+      characterSettings = configSettings(readJson(characterPath, 'character defaults'), characterPath);
+      sources.push(`🎭 Character defaults: ${characterPath}`);
+    }
+
+    return {
+      settings: { ...defaults, ...fileSettings, ...characterSettings, ...presetSettings, ...cli },
+      sources
+    };
+  }
+
+  const { settings: cliSettings } = parseFlags(args);
+  if (analyzeFile) {
+    cliSettings.audio = analyzeFile;
+  }
+
+  let resolved;
+  try {
+    resolved = resolveSettings(cliSettings);
+  } catch (err) {
+    console.error('❌ Error:', err.message);
+    process.exit(1);
+  }
+
+  const { config, preset, printConfig, overlay: inputVideo, position, margin, x, y, ...options } = resolved.settings;
+  const overlayMode = Boolean(inputVideo);
+  const overlayOptions = { position, margin, x, y };
+
+  // Show the effective settings (pasteable into a config file) and stop
+  if (printConfig) {
+    for (const source of resolved.sources) {
+      console.log(source);
     }
+    console.log(JSON.stringify({ ...options, overlay: inputVideo, position, margin, x, y }, null, 2));
+    process.exit(0);
+  }
+
+  if (analyzeMode && !options.audio) {
+    console.error('❌ Error: analyze needs an audio or video file');
+    console.error('\nUsage:');
+    console.error('  caricature analyze file.mp3 [--threshold <dB|auto>] [--open-ratio 0.5]\n');
+    process.exit(1);
   }
 
-  // Validate that either --audio or --overlay is provided (but not both)
-  if (!options.audio && !overlayMode) {
+  // Validate that --audio or --overlay is provided (with --overlay, --audio is the voice track)
+  if (!options.audio && !overlayMode && !liveMode) {
     console.error('❌ Error: Either --audio or --overlay is required');
     console.error('\nUsage:');
     console.error('  caricature --audio file.mp3     # Create talking head with audio');
@@ -879,15 +5112,44 @@ THRESHOLD TUNING:
     process.exit(1);
   }
 
-  if (options.audio && overlayMode) {
-    console.error('❌ Error: Cannot use both --audio and --overlay');
-    console.error('Use --audio for standalone talking head, or --overlay to sync with video\n');
-    process.exit(1);
-  }
-
   const caricature = new Caricature(options);
 
-  if (overlayMode && inputVideo) {
+  if (analyzeMode) {
+    // Report only: loudness distribution and threshold suggestions
+    caricature.analyze()
+      .catch((err) => {
+        console.error('\n💥 Error:', err.message);
+        process.exit(1);
+      });
+  } else if (liveMode) {
+    // Realtime: audio on stdin, frames out as they are decided. When video
+    // owns stdout, everything logged goes to stderr instead.
+    const liveOutput = LIVE_OUTPUTS[caricature.liveOutput];
+    if (liveOutput && liveOutput.stdout) {
+      globalThis.console = new console.Console({ stdout: process.stderr, stderr: process.stderr });
+    }
+    caricature.live()
+      .then(() => {
+        console.log('\n🎉 All done! Thanks for watching.\n');
+      })
+      .catch((err) => {
+        console.error('\n💥 Error:', err.message);
+        process.exit(1);
+      });
+  } else if (options.export) {
+    // Editing timelines only: with --overlay and no voice track, the video's own audio drives the mouth
+    if (overlayMode && !options.audio) {
+      caricature.audioInput = inputVideo;
+    }
+    caricature.exportTimelines(options.export)
+      .then(() => {
+        console.log('\n🎉 All done! Import the timeline into your editor.\n');
+      })
+      .catch((err) => {
+        console.error('\n💥 Error:', err.message);
+        process.exit(1);
+      });
+  } else if (overlayMode && inputVideo && !options.preview) {
     // One-step: extract audio from video, create talking head, and overlay
     caricature.createWithOverlay(inputVideo, overlayOptions)
       .then(() => {
@@ -899,7 +5161,11 @@ THRESHOLD TUNING:
         process.exit(1);
       });
   } else {
-    // Standalone: create talking head with audio
+    // Standalone: create talking head with audio. A preview shows the head alone,
+    // so with --overlay and no voice track the video's own audio drives the mouth
+    if (overlayMode && !options.audio) {
+      caricature.audioInput = inputVideo;
+    }
     caricature.create()
       .then(() => {
         console.log('\n🎉 All done! Audio-synchronized caricature ready!');